@@ -0,0 +1,39 @@
+// Like `SpecRunner.js`, this file is run directly, so it must import rather than require.
+import {DateCollator} from '../../index.js';
+// Reports how long `sort` and `Array.prototype.sort` with `compare` take on
+// large arrays (run with `npm run benchmark`).  It is not a spec, so that
+// timings on a busy machine cannot fail the suite.
+/**
+ * @returns {Date[]} Dates scattered over several decades (deterministically, so that runs are comparable).
+ * @param {number} count - The number of dates.
+ */
+const createDates = ( count ) => Array.from( {length:count}, ( _date, d ) =>
+	new Date( 946684800000 + ((d * 7919) % count) * 86400000 + ((d * 104729) % 86400000))
+);
+/**
+ * @returns {number} The milliseconds taken to call `callback`.
+ * @param {function} callback - The code to time.
+ */
+const time = ( callback ) =>
+{
+	const start = Date.now();
+	callback();
+	return( Date.now() - start );
+};
+const cases =
+[
+	{name:'Dates', count:100000, dateCollator:new DateCollator(), toValue:( date ) => date},
+	{name:'epoch milliseconds', count:100000, dateCollator:new DateCollator(), toValue:( date ) => date.getTime()},
+	{name:'ISO 8601 strings', count:100000, dateCollator:new DateCollator(), toValue:( date ) => date.toISOString()},
+	{name:`Dates with a 'timeZone'`, count:20000, dateCollator:new DateCollator( null, {timeZone:'America/Chicago'}), toValue:( date ) => date},
+];
+cases.forEach(( eachCase, _c, _everyCase ) =>
+{
+	const values = createDates( eachCase.count ).map( eachCase.toValue );
+	const sortedByCompare = values.slice();
+	const sortedBySort = values.slice();
+	const compareMilliseconds = time(() => sortedByCompare.sort( eachCase.dateCollator.compare ));
+	const sortMilliseconds = time(() => eachCase.dateCollator.sort( sortedBySort ));
+	const isSameOrder = sortedBySort.every(( eachValue, v, _everyValue ) => eachValue === sortedByCompare[ v ]);
+	console.log( `Sorting ${eachCase.count} ${eachCase.name}: 'Array.prototype.sort' with 'compare' ${compareMilliseconds}ms, 'sort' ${sortMilliseconds}ms${isSameOrder?'':' (in a different order)'}.` );
+});
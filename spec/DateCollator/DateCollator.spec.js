@@ -44,6 +44,15 @@ describe( `DateCollator`, function()
 				})
 				.toThrowError();
 			});
+			it( `should throw a RangeError naming the value`, async function()
+			{
+				expect( () => new DateCollator( null, {dateSensitivity:['year', 'millisecond']}))
+				.toThrowError( RangeError, `Value 'millisecond' out of range for DateCollator options property 'dateSensitivity'.` );
+				expect( () => new DateCollator( null, {dateSensitivity:['year', {part:'millisecond'}]}))
+				.toThrowError( RangeError, `Value 'millisecond' out of range for DateCollator options property 'dateSensitivity'.` );
+				expect( () => new DateCollator( null, {dateSensitivity:['year', undefined]}))
+				.toThrowError( RangeError, `Value 'undefined' out of range for DateCollator options property 'dateSensitivity'.` );
+			});
 		});
 		describe( `Specifying an invalid 'dateUsage' type/value`, function()
 		{
@@ -57,6 +66,295 @@ describe( `DateCollator`, function()
 				.toThrowError();
 			});
 		});
+		describe( `Specifying an invalid 'timeZone' type`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					const _dateCollator = new DateCollator( null, {timeZone:-6});
+				})
+				.toThrowError( TypeError );
+			});
+		});
+		describe( `Specifying an invalid 'timeZone' value`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					// The similar valid option is 'America/Chicago'.
+					const _dateCollator = new DateCollator( null, {timeZone:'America/Chicagoland'});
+				})
+				.toThrowError( RangeError );
+			});
+		});
+		describe( `Specifying an invalid 'calendar' type`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					const _dateCollator = new DateCollator( null, {calendar:['hebrew']});
+				})
+				.toThrowError( TypeError );
+			});
+		});
+		describe( `Specifying an invalid 'calendar' value`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					// The similar valid option is 'gregory'.
+					const _dateCollator = new DateCollator( null, {calendar:'gregorian'});
+				})
+				.toThrowError( RangeError );
+			});
+		});
+		describe( `Specifying an invalid 'dateSensitivity' entry 'part'`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					const _dateCollator = new DateCollator( null, {dateSensitivity:[{part:'millisecond', direction:'descending'}]});
+				})
+				.toThrowError();
+			});
+		});
+		describe( `Specifying an invalid 'dateSensitivity' entry 'direction'`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					// The similar valid option is 'descending'.
+					const _dateCollator = new DateCollator( null, {dateSensitivity:[{part:'year', direction:'desc'}]});
+				})
+				.toThrowError( RangeError );
+			});
+		});
+		describe( `Specifying an invalid 'direction' value`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					// The similar valid option is 'descending'.
+					const _dateCollator = new DateCollator( null, {direction:'down'});
+				})
+				.toThrowError( RangeError );
+			});
+		});
+		describe( `Specifying an invalid 'fiscalYearStartMonth' type`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					const _dateCollator = new DateCollator( null, {fiscalYearStartMonth:'9'});
+				})
+				.toThrowError( TypeError );
+			});
+		});
+		describe( `Specifying an invalid 'fiscalYearStartMonth' value`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					// Months are zero-based, like `Date.prototype.getMonth()`.
+					const _dateCollator = new DateCollator( null, {fiscalYearStartMonth:12});
+				})
+				.toThrowError( RangeError );
+			});
+		});
+		describe( `Specifying an invalid 'dateSensitivity' entry 'step' type`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					const _dateCollator = new DateCollator( null, {dateSensitivity:['hour', {part:'minute', step:'15'}]});
+				})
+				.toThrowError( TypeError );
+			});
+		});
+		describe( `Specifying an invalid 'dateSensitivity' entry 'step' value`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					const _dateCollator = new DateCollator( null, {dateSensitivity:['hour', {part:'minute', step:0}]});
+				})
+				.toThrowError( RangeError );
+				expect( function()
+				{
+					// Only parts with a fixed order of values can be rounded.
+					const _dateCollator = new DateCollator( null, {dateSensitivity:[{part:'weekday', step:2}]});
+				})
+				.toThrowError( RangeError );
+			});
+		});
+		describe( `Specifying an invalid 'dateSensitivity' entry 'rounding' value`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					// The similar valid option is 'ceil'.
+					const _dateCollator = new DateCollator( null, {dateSensitivity:['hour', {part:'minute', step:15, rounding:'up'}]});
+				})
+				.toThrowError( RangeError );
+			});
+		});
+		describe( `Specifying an invalid 'dayPeriod' value`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					// The similar valid option is 'flexible'.
+					const _dateCollator = new DateCollator( null, {dayPeriod:'long'});
+				})
+				.toThrowError( RangeError );
+			});
+			it( `should throw an exception for 'flexible' when the runtime does not format day periods`, async function()
+			{
+				// Simulate a runtime whose `Intl.DateTimeFormat` ignores `dayPeriod:'long'`.
+				const formatToParts = Intl.DateTimeFormat.prototype.formatToParts;
+				spyOn( Intl.DateTimeFormat.prototype, 'formatToParts' ).and.callFake( function( date )
+				{
+					return( formatToParts.call( this, date )
+						.filter(( eachPart, _p, _everyPart ) => eachPart.type !== 'dayPeriod' ));
+				});
+				expect( () => new DateCollator( 'en-US', {dayPeriod:'flexible'}))
+				.toThrowError( RangeError, `Value 'flexible' out of range for DateCollator options property 'dayPeriod'.` );
+			});
+		});
+		describe( `Specifying an invalid 'hourCycle' value`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					// The similar valid option is 'h12'.
+					const _dateCollator = new DateCollator( null, {hourCycle:12});
+				})
+				.toThrowError( RangeError );
+			});
+		});
+		describe( `Specifying an invalid 'repeatedTime' value`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					// The similar valid option is 'earlierOffsetFirst'.
+					const _dateCollator = new DateCollator( null, {repeatedTime:'earlier'});
+				})
+				.toThrowError( RangeError );
+			});
+		});
+		describe( `Specifying an invalid 'tolerance' type`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					const _dateCollator = new DateCollator( null, {tolerance:'PT90S'});
+				})
+				.toThrowError( TypeError );
+			});
+		});
+		describe( `Specifying an invalid 'tolerance' value`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					const _dateCollator = new DateCollator( null, {tolerance:-1});
+				})
+				.toThrowError( RangeError );
+				expect( function()
+				{
+					// Months have no fixed duration.
+					const _dateCollator = new DateCollator( null, {tolerance:{months:1}});
+				})
+				.toThrowError( RangeError );
+			});
+		});
+		describe( `Specifying an invalid 'key' type`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					const _dateCollator = new DateCollator( null, {key:['due', 'start']});
+				})
+				.toThrowError( TypeError );
+			});
+		});
+		describe( `Specifying an invalid 'firstDayOfWeek' type`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					const _dateCollator = new DateCollator( null, {firstDayOfWeek:'Monday'});
+				})
+				.toThrowError( TypeError );
+			});
+		});
+		describe( `Specifying an invalid 'firstDayOfWeek' value`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					// Days are like `Date.prototype.getDay()`, so Sunday is 0.
+					const _dateCollator = new DateCollator( null, {firstDayOfWeek:7});
+				})
+				.toThrowError( RangeError );
+			});
+		});
+		describe( `Specifying an invalid 'coerce' type`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					const _dateCollator = new DateCollator( null, {coerce:'yes'});
+				})
+				.toThrowError( TypeError );
+			});
+		});
+		describe( `Specifying an invalid 'invalid' value`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					// The similar valid option is 'last'.
+					const _dateCollator = new DateCollator( null, {invalid:'bottom'});
+				})
+				.toThrowError( RangeError );
+			});
+		});
+		describe( `Specifying an invalid 'nullish' value`, function()
+		{
+			it( `should throw an exception`, async function()
+			{
+				expect( function()
+				{
+					// The similar valid option is 'first'.
+					const _dateCollator = new DateCollator( null, {nullish:'top'});
+				})
+				.toThrowError( RangeError );
+			});
+		});
 	});
 	describe( `Instance usage`, function()
 	{
@@ -112,6 +410,140 @@ describe( `DateCollator`, function()
 				.toEqual( 0 );
 			});
 		});
+		describe( `Instance usage, example flexible 'dayPeriod'`, function()
+		{
+			const date2020$03$23T19$00 = new Date( 2020, 2, 23, 19, 0 );
+			beforeEach( function()
+			{
+				// Older runtimes ignore `dayPeriod`, so do not support 'flexible'.
+				const isSupportedDayPeriod = new Intl.DateTimeFormat( 'en-US', {dayPeriod:'long'}).formatToParts( new Date())
+					.some(( eachPart, _p, _everyPart ) => eachPart.type === 'dayPeriod' );
+				if( !isSupportedDayPeriod )
+				{pending( `The runtime does not format flexible day periods.` );}
+			});
+			it( `should compare Dates by the locale's flexible day periods in time order`, async function()
+			{
+				const dateCollator = new DateCollator( 'en-US', {dateSensitivity:['dayPeriod'], dayPeriod:'flexible'});
+				expect( dateCollator.compare( date2020$03$23T09$00, date2020$03$23T11$00 )).toEqual( 0 );
+				expect( dateCollator.compare( date2020$03$23T11$00, date2020$03$23T17$00 )).toEqual( -1 );
+				expect( dateCollator.compare( date2020$03$23T19$00, date2020$03$23T17$00 )).toEqual( +1 );
+				expect( new DateCollator( 'en-US', {dateSensitivity:['dayPeriod']}).compare( date2020$03$23T19$00, date2020$03$23T17$00 )).toEqual( 0 );
+			});
+			it( `should number a day period spanning midnight the same before and after midnight`, async function()
+			{
+				const dateCollator = new DateCollator( 'ja-JP', {dateSensitivity:['dayPeriod'], dayPeriod:'flexible', dateUsage:'utc'});
+				expect( dateCollator.compare( new Date( Date.UTC( 2020, 2, 23, 23, 30 )), new Date( Date.UTC( 2020, 2, 23, 1, 0 )))).toEqual( 0 );
+				expect( dateCollator.compare( new Date( Date.UTC( 2020, 2, 23, 23, 30 )), new Date( Date.UTC( 2020, 2, 23, 8, 0 )))).toEqual( -1 );
+			});
+			it( `should label Dates by the locale's flexible day periods`, async function()
+			{
+				const dateCollator = new DateCollator( 'en-US', {dateSensitivity:['dayPeriod'], dayPeriod:'flexible', timeZone:'UTC'});
+				expect( Array.from( dateCollator.groupBy( [new Date( Date.UTC( 2020, 2, 23, 19, 0 ))]).values())[ 0 ].label ).toEqual( 'in the evening' );
+				expect( dateCollator.resolvedOptions().dayPeriod ).toEqual( 'flexible' );
+			});
+		});
+		describe( `Instance usage, example 'hourCycle'`, function()
+		{
+			const date2020$03$23T00$00 = new Date( 2020, 2, 23, 0, 0 );
+			const date2020$03$23T01$00 = new Date( 2020, 2, 23, 1, 0 );
+			const date2020$03$23T12$00 = new Date( 2020, 2, 23, 12, 0 );
+			const date2020$03$23T13$00 = new Date( 2020, 2, 23, 13, 0 );
+			it( `should compare clock-face hours in both 'local' and 'utc' usage`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['hour'], hourCycle:'h12'});
+				expect( dateCollator.compare( date2020$03$23T01$00, date2020$03$23T13$00 )).toEqual( 0 );
+				expect( dateCollator.compare( date2020$03$23T12$00, date2020$03$23T11$00 )).toEqual( +1 );
+				const dateCollatorUTC = new DateCollator( null, {dateSensitivity:['hour'], hourCycle:'h11', dateUsage:'utc'});
+				expect( dateCollatorUTC.compare( new Date( Date.UTC( 2020, 2, 23, 0, 0 )), new Date( Date.UTC( 2020, 2, 23, 12, 0 )))).toEqual( 0 );
+				expect( dateCollatorUTC.compare( new Date( Date.UTC( 2020, 2, 23, 11, 0 )), new Date( Date.UTC( 2020, 2, 23, 12, 0 )))).toEqual( +1 );
+			});
+			it( `should compare midnight as hour 24 with 'h24'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['hour'], hourCycle:'h24', timeZone:'UTC'});
+				expect( dateCollator.compare( new Date( Date.UTC( 2020, 2, 23, 0, 0 )), new Date( Date.UTC( 2020, 2, 23, 23, 0 )))).toEqual( +1 );
+				expect( new DateCollator( null, {dateSensitivity:['hour']}).compare( date2020$03$23T00$00, date2020$03$23T12$00 )).toEqual( -1 );
+			});
+			it( `should default from the specified locale (including its "-u-hc-" extension) or to 'h23'`, async function()
+			{
+				const dateCollatorEnUS = new DateCollator( 'en-US', {dateSensitivity:['hour']});
+				expect( dateCollatorEnUS.resolvedOptions().hourCycle ).toEqual( 'h12' );
+				expect( dateCollatorEnUS.compare( date2020$03$23T01$00, date2020$03$23T13$00 )).toEqual( 0 );
+				expect( new DateCollator( 'en-GB' ).resolvedOptions().hourCycle ).toEqual( 'h23' );
+				expect( new DateCollator( 'en-US-u-hc-h23' ).resolvedOptions().hourCycle ).toEqual( 'h23' );
+				expect( new DateCollator( 'en-GB-u-hc-h12' ).resolvedOptions().hourCycle ).toEqual( 'h12' );
+				expect( new DateCollator().resolvedOptions().hourCycle ).toEqual( 'h23' );
+				expect( new DateCollator( null ).resolvedOptions().hourCycle ).toEqual( 'h23' );
+			});
+		});
+		describe( `Instance usage, example 'repeatedTime'`, function()
+		{
+			// On November 1, 2020 in Chicago, 1:00 a.m. through 1:59 a.m. occurred in CDT (UTC-5) and then again in CST (UTC-6).
+			const date2020$11$01T01$30CDT = new Date( Date.UTC( 2020, 10, 1, 6, 30 ));
+			const date2020$11$01T01$50CDT = new Date( Date.UTC( 2020, 10, 1, 6, 50 ));
+			const date2020$11$01T01$10CST = new Date( Date.UTC( 2020, 10, 1, 7, 10 ));
+			const date2020$11$01T01$30CST = new Date( Date.UTC( 2020, 10, 1, 7, 30 ));
+			const date2020$11$01T02$30CST = new Date( Date.UTC( 2020, 10, 1, 8, 30 ));
+			describe( `with a DST time zone pinned through the environment`, function()
+			{
+				let previousTimeZone;
+				beforeAll( function()
+				{
+					previousTimeZone = process.env.TZ;
+					process.env.TZ = 'America/Chicago';
+				});
+				afterAll( function()
+				{
+					if( previousTimeZone === undefined )
+					{delete process.env.TZ;}
+					else
+					{process.env.TZ = previousTimeZone;}
+				});
+				it( `should compare repeated local times by their wall-clock values by default`, async function()
+				{
+					const dateCollator = new DateCollator();
+					expect( dateCollator.compare( date2020$11$01T01$30CDT, date2020$11$01T01$30CST )).toEqual( 0 );
+					expect( dateCollator.compare( date2020$11$01T01$50CDT, date2020$11$01T01$10CST )).toEqual( +1 );
+				});
+				it( `should sort repeated local times chronologically with 'earlierOffsetFirst'`, async function()
+				{
+					const dateCollator = new DateCollator( null, {repeatedTime:'earlierOffsetFirst'});
+					const dates = [date2020$11$01T02$30CST, date2020$11$01T01$10CST, date2020$11$01T01$50CDT, date2020$11$01T01$30CST, date2020$11$01T01$30CDT];
+					expect( dates.sort( dateCollator.compare ))
+					.toEqual( [date2020$11$01T01$30CDT, date2020$11$01T01$50CDT, date2020$11$01T01$10CST, date2020$11$01T01$30CST, date2020$11$01T02$30CST]);
+					expect( dateCollator.compare( date2020$11$01T02$30CST, new Date( 2020, 10, 2, 0, 30 ))).toEqual( -1 );
+					expect( dateCollator.collationKey( date2020$11$01T01$50CDT ) < dateCollator.collationKey( date2020$11$01T01$10CST )).toBe( true );
+				});
+				it( `should not list a skipped local time as a match`, async function()
+				{
+					// On March 8, 2020 in Chicago, 2:00 a.m. CST became 3:00 a.m. CDT.
+					const dateCollator = new DateCollator();
+					expect( dateCollator.nextMatches( new Date( 2020, 2, 8, 0, 0 ), {hour:2})).toEqual( [new Date( 2020, 2, 9, 2, 0 )]);
+					expect( dateCollator.nextMatches( new Date( 2020, 2, 8, 0, 0 ), {hour:3})).toEqual( [new Date( 2020, 2, 8, 3, 0 )]);
+				});
+			});
+			it( `should sort repeated times chronologically in a 'timeZone' with 'earlierOffsetFirst'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {timeZone:'America/Chicago', repeatedTime:'earlierOffsetFirst'});
+				expect( dateCollator.compare( date2020$11$01T01$50CDT, date2020$11$01T01$10CST )).toEqual( -1 );
+				expect( new DateCollator( null, {timeZone:'America/Chicago'}).compare( date2020$11$01T01$50CDT, date2020$11$01T01$10CST )).toEqual( +1 );
+			});
+			it( `should only order the repeated times of a time-of-day collator with 'earlierOffsetFirst'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['hour', 'minute'], timeZone:'America/Chicago', repeatedTime:'earlierOffsetFirst'});
+				const date2020$11$01T15$00CST = new Date( Date.UTC( 2020, 10, 1, 21, 0 ));
+				const date2020$11$02T15$00CST = new Date( Date.UTC( 2020, 10, 2, 21, 0 ));
+				expect( dateCollator.compare( date2020$11$01T15$00CST, date2020$11$02T15$00CST )).toEqual( 0 );
+				expect( dateCollator.collationKey( date2020$11$01T15$00CST )).toEqual( dateCollator.collationKey( date2020$11$02T15$00CST ));
+				expect( dateCollator.compare( date2020$11$01T02$30CST, new Date( Date.UTC( 2020, 10, 2, 8, 30 )))).toEqual( 0 );
+				expect( dateCollator.compare( date2020$11$01T01$50CDT, date2020$11$01T01$10CST )).toEqual( -1 );
+				expect( dateCollator.compare( date2020$11$01T01$10CST, date2020$11$01T02$30CST )).toEqual( -1 );
+				expect( dateCollator.compareDetailed( date2020$11$01T01$30CST, date2020$11$01T01$30CDT ).parts[ 0 ])
+				.toEqual( {part:'hour', left:1.5, right:1, difference:0.5});
+				expect( dateCollator.groupBy( [date2020$11$01T15$00CST, date2020$11$02T15$00CST]).size ).toEqual( 1 );
+				const weekdayDateCollator = new DateCollator( null, {dateSensitivity:['weekday', 'hour'], timeZone:'America/Chicago', repeatedTime:'earlierOffsetFirst'});
+				expect( weekdayDateCollator.compare( date2020$11$01T15$00CST, new Date( Date.UTC( 2020, 10, 8, 21, 0 )))).toEqual( 0 );
+			});
+		});
 		describe( `Instance usage, example 'weekday'`, function()
 		{
 			it( `should be able to check whether Dates occur during the same ('local') 'weekday' of any week`, async function()
@@ -150,31 +582,1027 @@ describe( `DateCollator`, function()
 				.toEqual( 0 );
 			});
 		});
-		describe( `Member usage, reference to 'compare'`, function()
+		describe( `Instance usage, example 'timeZone'`, function()
 		{
-			it( `should be able to sort Dates using 'Array.prototype.sort'`, async function()
+			it( `should be able to check whether Dates occur during the same day in 'America/Chicago'`, async function()
 			{
-				const dateCollator = new DateCollator();
-				// Not in chronological order.
-				let dates =
-				[
-					date2020$03$23T17$00,
-					date2020$03$23T11$00,
-					date2020$03$23T09$00,
-					date2026$03$23T11$00,
-				];
-				// Sorted in random order.
-				class RandomCollator
-				{
-					get compare()
-					{
-						function compareUnbound( _left, _right )
-						{return( Math.floor( Math.random() * 3 ) - 1 );}
-						return( compareUnbound.bind( this ));
-					}
-				};
-				const randomCollator = new RandomCollator();
-				dates.sort( randomCollator.compare );
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month', 'day'], timeZone:'America/Chicago'});
+				// 2020-03-23 10:00 and 22:00 CDT.
+				expect(
+					dateCollator.compare( new Date( Date.UTC( 2020, 2, 23, 15, 0 )), new Date( Date.UTC( 2020, 2, 24, 3, 0 )))
+				)
+				.toEqual( 0 );
+			});
+			it( `should be able to check whether Dates occur during different days in 'Asia/Kolkata'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month', 'day'], timeZone:'Asia/Kolkata'});
+				// 2020-03-23 23:30 and 2020-03-24 01:30 IST.
+				expect(
+					dateCollator.compare( new Date( Date.UTC( 2020, 2, 23, 18, 0 )), new Date( Date.UTC( 2020, 2, 23, 20, 0 )))
+				)
+				.toBeLessThan( 0 );
+			});
+			it( `should take precedence over 'dateUsage'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['day'], dateUsage:'utc', timeZone:'Asia/Kolkata'});
+				// 2020-03-24 01:30 and 15:30 IST, but different days in UTC.
+				expect(
+					dateCollator.compare( new Date( Date.UTC( 2020, 2, 23, 20, 0 )), new Date( Date.UTC( 2020, 2, 24, 10, 0 )))
+				)
+				.toEqual( 0 );
+			});
+			it( `should resolve the 'hour' across a daylight saving time change`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['hour'], timeZone:'America/Chicago'});
+				// 2020-03-08 01:59 CST is one minute before 03:00 CDT.
+				const beforeChange = new Date( Date.UTC( 2020, 2, 8, 7, 59 ));
+				const afterChange = new Date( Date.UTC( 2020, 2, 8, 8, 0 ));
+				const threeAmBeforeChange = new Date( Date.UTC( 2020, 2, 7, 9, 0 ));
+				expect( dateCollator.compare( beforeChange, afterChange )).toBeLessThan( 0 );
+				expect( dateCollator.compare( threeAmBeforeChange, afterChange )).toEqual( 0 );
+			});
+			it( `should read the 'era', 'weekday' and 'dayPeriod' in the time zone`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['era', 'weekday', 'dayPeriod'], timeZone:'Pacific/Auckland'});
+				// 2020-03-24 (Tuesday) 09:00 and 2026-03-24 (Tuesday) 11:00 NZDT.
+				expect(
+					dateCollator.compare( new Date( Date.UTC( 2020, 2, 23, 20, 0 )), new Date( Date.UTC( 2026, 2, 23, 22, 0 )))
+				)
+				.toEqual( 0 );
+			});
+		});
+		describe( `Instance usage, example 'calendar'`, function()
+		{
+			it( `should be able to check whether Dates occur during the same 'hebrew' month`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month'], dateUsage:'utc', calendar:'hebrew'});
+				// 1 and 29 Adar II 5784.
+				expect(
+					dateCollator.compare( new Date( Date.UTC( 2024, 2, 11 )), new Date( Date.UTC( 2024, 3, 8 )))
+				)
+				.toEqual( 0 );
+				// 6 Adar I and 1 Adar II 5784.
+				expect(
+					dateCollator.compare( new Date( Date.UTC( 2024, 1, 15 )), new Date( Date.UTC( 2024, 2, 11 )))
+				)
+				.toBeLessThan( 0 );
+			});
+			it( `should be able to check whether Dates occur during the same 'islamic-umalqura' month`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month'], dateUsage:'utc', calendar:'islamic-umalqura'});
+				// 2 and 29 Ramadan 1445.
+				expect(
+					dateCollator.compare( new Date( Date.UTC( 2024, 2, 12 )), new Date( Date.UTC( 2024, 3, 8 )))
+				)
+				.toEqual( 0 );
+			});
+			it( `should be able to check whether Dates occur during different 'persian' years`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year'], dateUsage:'utc', calendar:'persian'});
+				// 29 Esfand 1402 and 2 Farvardin 1403.
+				expect(
+					dateCollator.compare( new Date( Date.UTC( 2024, 2, 19 )), new Date( Date.UTC( 2024, 2, 21 )))
+				)
+				.toBeLessThan( 0 );
+			});
+			it( `should be able to order a 'chinese' leap month after the month it repeats`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month'], dateUsage:'utc', calendar:'chinese'});
+				// Months 2, 2 (leap), and 3 of 2023.
+				const month2 = new Date( Date.UTC( 2023, 2, 13 ));
+				const leapMonth2 = new Date( Date.UTC( 2023, 3, 2 ));
+				const month3 = new Date( Date.UTC( 2023, 3, 22 ));
+				expect( dateCollator.compare( month2, leapMonth2 )).toBeLessThan( 0 );
+				expect( dateCollator.compare( leapMonth2, month3 )).toBeLessThan( 0 );
+			});
+			it( `should be able to check whether Dates occur during the same 'japanese' era`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['era'], dateUsage:'utc', calendar:'japanese'});
+				const heisei1 = new Date( Date.UTC( 1989, 5, 1 ));
+				const heisei31 = new Date( Date.UTC( 2019, 3, 30 ));
+				const reiwa1 = new Date( Date.UTC( 2019, 4, 1 ));
+				expect( dateCollator.compare( heisei1, heisei31 )).toEqual( 0 );
+				expect( dateCollator.compare( heisei31, reiwa1 )).toBeLessThan( 0 );
+				expect( dateCollator.compare( reiwa1, heisei1 )).toBeGreaterThan( 0 );
+			});
+			it( `should use the calendar of the locale's "-u-ca-" extension`, async function()
+			{
+				const dateCollator = new DateCollator( 'ja-JP-u-ca-japanese', {dateSensitivity:['year'], dateUsage:'utc'});
+				// Heisei 1 and Reiwa 1.
+				expect(
+					dateCollator.compare( new Date( Date.UTC( 1989, 5, 1 )), new Date( Date.UTC( 2019, 4, 1 )))
+				)
+				.toEqual( 0 );
+			});
+			it( `should prefer the 'calendar' option over the locale's "-u-ca-" extension`, async function()
+			{
+				const dateCollator = new DateCollator( 'ja-JP-u-ca-japanese', {dateSensitivity:['year'], dateUsage:'utc', calendar:'gregory'});
+				expect(
+					dateCollator.compare( new Date( Date.UTC( 1989, 5, 1 )), new Date( Date.UTC( 2019, 4, 1 )))
+				)
+				.toBeLessThan( 0 );
+			});
+		});
+		describe( `Instance usage, example derived parts`, function()
+		{
+			it( `should be able to check whether Dates occur during the same ('local') 'quarter'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'quarter']});
+				expect( dateCollator.compare( new Date( 2020, 0, 1 ), new Date( 2020, 2, 31 ))).toEqual( 0 );
+				expect( dateCollator.compare( new Date( 2020, 2, 31 ), new Date( 2020, 3, 1 ))).toBeLessThan( 0 );
+			});
+			it( `should be able to check whether Dates occur during the same 'utc' 'isoWeek' of the same 'isoWeekYear'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['isoWeekYear', 'isoWeek'], dateUsage:'utc'});
+				// Thursday and Sunday of week 53 of 2020, and Monday of week 1 of 2021.
+				const thursday = new Date( Date.UTC( 2020, 11, 31, 12, 0 ));
+				const sunday = new Date( Date.UTC( 2021, 0, 3, 12, 0 ));
+				const monday = new Date( Date.UTC( 2021, 0, 4, 12, 0 ));
+				expect( dateCollator.compare( thursday, sunday )).toEqual( 0 );
+				expect( dateCollator.compare( sunday, monday )).toBeLessThan( 0 );
+			});
+			it( `should be able to check whether Dates occur during different 'isoWeek's in a 'timeZone'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['isoWeekYear', 'isoWeek'], timeZone:'Asia/Kolkata'});
+				// Sunday 2021-01-03 23:30 and Monday 2021-01-04 00:30 IST.
+				expect(
+					dateCollator.compare( new Date( Date.UTC( 2021, 0, 3, 18, 0 )), new Date( Date.UTC( 2021, 0, 3, 19, 0 )))
+				)
+				.toBeLessThan( 0 );
+			});
+			it( `should be able to check whether Dates occur during the same 'dayOfYear' across years`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['dayOfYear'], dateUsage:'utc'});
+				// The 60th day of a common year and of a leap year.
+				expect(
+					dateCollator.compare( new Date( Date.UTC( 2019, 2, 1 )), new Date( Date.UTC( 2020, 1, 29 )))
+				)
+				.toEqual( 0 );
+			});
+			it( `should be able to check whether Dates occur during the same ('local') 'weekOfMonth'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['weekOfMonth']});
+				// March 2020 starts on a Sunday.
+				expect( dateCollator.compare( new Date( 2020, 2, 1 ), new Date( 2020, 2, 7 ))).toEqual( 0 );
+				expect( dateCollator.compare( new Date( 2020, 2, 7 ), new Date( 2020, 2, 8 ))).toBeLessThan( 0 );
+			});
+			it( `should be able to check whether Dates occur during the same 'fiscalYear' starting in October`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['fiscalYear'], fiscalYearStartMonth:9});
+				expect( dateCollator.compare( new Date( 2020, 9, 1 ), new Date( 2021, 8, 30 ))).toEqual( 0 );
+				expect( dateCollator.compare( new Date( 2020, 8, 30 ), new Date( 2020, 9, 1 ))).toBeLessThan( 0 );
+			});
+			it( `should derive parts from the Gregorian date regardless of the 'calendar'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['quarter'], dateUsage:'utc', calendar:'hebrew'});
+				expect(
+					dateCollator.compare( new Date( Date.UTC( 2024, 2, 11 )), new Date( Date.UTC( 2024, 3, 8 )))
+				)
+				.toBeLessThan( 0 );
+			});
+		});
+		describe( `Instance usage, example 'firstDayOfWeek'`, function()
+		{
+			// 2020-03-22 is a Sunday and 2020-03-23 is a Monday.
+			const sunday = new Date( 2020, 2, 22, 12, 0 );
+			const monday = new Date( 2020, 2, 23, 12, 0 );
+			const saturday = new Date( 2020, 2, 28, 12, 0 );
+			it( `should sort Sunday first by default for a locale starting weeks on Sunday`, async function()
+			{
+				const dateCollator = new DateCollator( 'en-US', {dateSensitivity:['weekday']});
+				expect( dateCollator.compare( sunday, monday )).toBeLessThan( 0 );
+			});
+			it( `should sort Monday first when specified`, async function()
+			{
+				const dateCollator = new DateCollator( 'en-US', {dateSensitivity:['weekday'], firstDayOfWeek:1});
+				expect( [sunday, saturday, monday].sort( dateCollator.compare )).toEqual( [monday, saturday, sunday]);
+			});
+			it( `should sort Saturday first when specified, 'utc'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['weekday'], dateUsage:'utc', firstDayOfWeek:6});
+				const utcSunday = new Date( Date.UTC( 2020, 2, 22, 12, 0 ));
+				const utcMonday = new Date( Date.UTC( 2020, 2, 23, 12, 0 ));
+				const utcSaturday = new Date( Date.UTC( 2020, 2, 28, 12, 0 ));
+				expect( [utcSunday, utcSaturday, utcMonday].sort( dateCollator.compare )).toEqual( [utcSaturday, utcSunday, utcMonday]);
+			});
+			it( `should start each 'weekOfMonth' on the 'firstDayOfWeek'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['weekOfMonth'], firstDayOfWeek:1});
+				// March 2020 starts on a Sunday, so Monday the 2nd starts its second week.
+				expect( dateCollator.compare( new Date( 2020, 2, 1 ), new Date( 2020, 2, 2 ))).toBeLessThan( 0 );
+				expect( dateCollator.compare( new Date( 2020, 2, 2 ), new Date( 2020, 2, 8 ))).toEqual( 0 );
+			});
+			it( `should default from the locale's week data when the runtime provides it`, async function()
+			{
+				const locale = new Intl.Locale( 'de-DE' );
+				const weekInfo = typeof( locale.getWeekInfo ) === 'function'?locale.getWeekInfo()
+					:locale.weekInfo;
+				expect( new DateCollator( 'de-DE' ).resolvedOptions().firstDayOfWeek ).toEqual( weekInfo?1:0 );
+			});
+		});
+		describe( `Instance usage, example 'coerce'`, function()
+		{
+			// Stand-ins for Temporal objects, which are identified by their `Symbol.toStringTag`.
+			class FakeTemporal
+			{
+				constructor( typeName, isoString, epochMilliseconds )
+				{
+					this.typeName = typeName;
+					this.isoString = isoString;
+					this.epochMilliseconds = epochMilliseconds;
+				}
+				get [Symbol.toStringTag]()
+				{return( `Temporal.${this.typeName}` );}
+				toString()
+				{return( this.isoString );}
+			}
+			it( `should compare epoch milliseconds numerically`, async function()
+			{
+				const dateCollator = new DateCollator();
+				// As strings, "900000000000" would come after "1000000000000".
+				expect( dateCollator.compare( 900000000000, 1000000000000 )).toBeLessThan( 0 );
+				expect( dateCollator.compare( date2020$03$23T09$00.getTime(), date2020$03$23T09$00 )).toEqual( 0 );
+			});
+			it( `should compare ISO 8601 strings with an offset as instants`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateUsage:'utc'});
+				expect( dateCollator.compare( '2020-03-23T09:00:00.000Z', new Date( Date.UTC( 2020, 2, 23, 9, 0 )))).toEqual( 0 );
+				expect( dateCollator.compare( '2020-03-23T09:00:00+05:30', '2020-03-23T09:00:00Z' )).toBeLessThan( 0 );
+			});
+			it( `should compare ISO 8601 strings without an offset only on the parts they have`, async function()
+			{
+				const dateCollator = new DateCollator();
+				// A plain date has no 'hour', 'minute', etc.
+				expect( dateCollator.compare( '2020-03-23', date2020$03$23T17$00 )).toEqual( 0 );
+				expect( dateCollator.compare( '2020-03-23T17:00', date2020$03$23T17$00 )).toEqual( 0 );
+				expect( dateCollator.compare( '2020-03-23T09:00', '2020-03-23T17:00' )).toBeLessThan( 0 );
+			});
+			it( `should compare 'Temporal.Instant' and 'Temporal.ZonedDateTime' as instants`, async function()
+			{
+				const dateCollator = new DateCollator();
+				const instant = new FakeTemporal( 'Instant', '2020-03-23T09:00:00Z', Date.UTC( 2020, 2, 23, 9, 0 ));
+				const zonedDateTime = new FakeTemporal( 'ZonedDateTime', '2020-03-23T04:00:00-05:00[America/Chicago]', Date.UTC( 2020, 2, 23, 9, 0 ));
+				expect( dateCollator.compare( instant, zonedDateTime )).toEqual( 0 );
+				expect( dateCollator.compare( instant, new Date( Date.UTC( 2020, 2, 23, 9, 0, 1 )))).toBeLessThan( 0 );
+			});
+			it( `should compare Temporal plain objects only on the parts they have`, async function()
+			{
+				const dateCollator = new DateCollator();
+				const plainDateTime = new FakeTemporal( 'PlainDateTime', '2020-03-23T09:00:00' );
+				const plainDate = new FakeTemporal( 'PlainDate', '2020-03-23[u-ca=hebrew]' );
+				const plainTime = new FakeTemporal( 'PlainTime', '17:00:00' );
+				const plainYearMonth = new FakeTemporal( 'PlainYearMonth', '2020-03' );
+				const plainMonthDay = new FakeTemporal( 'PlainMonthDay', '03-23' );
+				expect( dateCollator.compare( plainDateTime, date2020$03$23T09$00 )).toEqual( 0 );
+				expect( dateCollator.compare( plainDate, date2020$03$23T17$00 )).toEqual( 0 );
+				expect( dateCollator.compare( plainTime, date2026$03$23T11$00 )).toBeGreaterThan( 0 );
+				expect( dateCollator.compare( plainTime, date2020$03$23T17$00 )).toEqual( 0 );
+				expect( dateCollator.compare( plainYearMonth, date2020$03$23T17$00 )).toEqual( 0 );
+				expect( dateCollator.compare( plainMonthDay, date2026$03$23T11$00 )).toEqual( 0 );
+			});
+			it( `should compare as strings when not coercing`, async function()
+			{
+				const dateCollator = new DateCollator( null, {coerce:false});
+				expect( dateCollator.compare( 900000000000, 1000000000000 )).toBeGreaterThan( 0 );
+			});
+		});
+		describe( `Instance usage, example 'direction'`, function()
+		{
+			it( `should be able to sort Dates newest year first, but earliest time of day first within a day`, async function()
+			{
+				const dateCollator = new DateCollator( null,
+				{
+					dateSensitivity:[{part:'year', direction:'descending'}, 'month', 'day', 'hour', 'minute'],
+				});
+				expect(
+					[date2020$03$23T17$00, date2026$03$23T11$00, date2020$03$23T09$00].sort( dateCollator.compare )
+				)
+				.toEqual( [date2026$03$23T11$00, date2020$03$23T09$00, date2020$03$23T17$00]);
+			});
+			it( `should be able to sort every part descending`, async function()
+			{
+				const dateCollator = new DateCollator( null, {direction:'descending'});
+				expect(
+					[date2020$03$23T11$00, date2020$03$23T09$00, date2026$03$23T11$00, date2020$03$23T17$00].sort( dateCollator.compare )
+				)
+				.toEqual( [date2026$03$23T11$00, date2020$03$23T17$00, date2020$03$23T11$00, date2020$03$23T09$00]);
+			});
+			it( `should let an entry's 'direction' override the collator's 'direction'`, async function()
+			{
+				const dateCollator = new DateCollator( null,
+				{
+					dateSensitivity:['year', {part:'hour', direction:'ascending'}],
+					direction:'descending',
+				});
+				expect(
+					[date2020$03$23T11$00, date2020$03$23T09$00, date2026$03$23T11$00].sort( dateCollator.compare )
+				)
+				.toEqual( [date2026$03$23T11$00, date2020$03$23T09$00, date2020$03$23T11$00]);
+			});
+			it( `should resolve each object entry's 'direction'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', {part:'day'}], direction:'descending'});
+				expect( dateCollator.resolvedOptions().dateSensitivity ).toEqual( ['year', {part:'day', direction:'descending'}]);
+				expect( dateCollator.resolvedOptions().direction ).toEqual( 'descending' );
+			});
+		});
+		describe( `Instance usage, example 'step' and 'rounding'`, function()
+		{
+			const date2020$03$23T10$53 = new Date( 2020, 2, 23, 10, 53 );
+			const date2020$03$23T11$05 = new Date( 2020, 2, 23, 11, 5 );
+			const date2020$03$23T11$14 = new Date( 2020, 2, 23, 11, 14, 59 );
+			it( `should be able to compare Dates by 15-minute slot`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month', 'day', 'hour', {part:'minute', step:15}]});
+				expect( dateCollator.compare( date2020$03$23T11$00, date2020$03$23T11$14 )).toEqual( 0 );
+				expect( dateCollator.compare( date2020$03$23T10$53, date2020$03$23T11$05 )).toEqual( -1 );
+				expect( dateCollator.groupBy( [date2020$03$23T11$14]).values().next().value.label ).toEqual( dateCollator.groupBy( [date2020$03$23T11$00]).values().next().value.label );
+			});
+			it( `should carry a part rounded to the nearest slot into the coarser parts`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month', 'day', 'hour', {part:'minute', step:15, rounding:'round'}]});
+				expect( dateCollator.compare( date2020$03$23T10$53, date2020$03$23T11$05 )).toEqual( 0 );
+				expect( dateCollator.compare( date2020$03$23T11$05, new Date( 2020, 2, 23, 11, 8 ))).toEqual( -1 );
+				expect( dateCollator.compare( new Date( 2020, 2, 23, 23, 55 ), new Date( 2020, 2, 24, 0, 5 ))).toEqual( 0 );
+			});
+			it( `should be able to round up to the next slot`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month', 'day', 'hour', {part:'minute', step:15, rounding:'ceil'}]});
+				expect( dateCollator.compare( date2020$03$23T11$05, date2020$03$23T11$14 )).toEqual( 0 );
+				expect( dateCollator.compare( date2020$03$23T11$00, date2020$03$23T11$05 )).toEqual( -1 );
+			});
+			it( `should be able to compare Dates by 6-hour shift`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month', 'day', {part:'hour', step:6}]});
+				expect( dateCollator.compare( date2020$03$23T09$00, date2020$03$23T11$00 )).toEqual( 0 );
+				expect( dateCollator.compare( date2020$03$23T11$00, date2020$03$23T17$00 )).toEqual( -1 );
+			});
+			it( `should be able to compare Dates by quarter of a year in a time zone`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', {part:'month', step:3}], timeZone:'Asia/Tokyo'});
+				// March 31, 2020 at 16:00 UTC is April 1 in Tokyo.
+				expect( dateCollator.compare( new Date( Date.UTC( 2020, 0, 1 )), new Date( Date.UTC( 2020, 2, 31, 14, 0 )))).toEqual( 0 );
+				expect( dateCollator.compare( new Date( Date.UTC( 2020, 2, 31, 14, 0 )), new Date( Date.UTC( 2020, 2, 31, 16, 0 )))).toEqual( -1 );
+			});
+			it( `should resolve each entry's 'step' and 'rounding'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['hour', {part:'minute', rounding:'round'}]});
+				expect( dateCollator.resolvedOptions().dateSensitivity ).toEqual( ['hour', {part:'minute', direction:'ascending', step:1, rounding:'round'}]);
+			});
+		});
+		describe( `Instance usage, example 'tolerance'`, function()
+		{
+			it( `should treat Dates within the tolerance as equal`, async function()
+			{
+				const dateCollator = new DateCollator( null, {tolerance:90000});
+				expect( dateCollator.compare( date2020$03$23T11$00, new Date( 2020, 2, 23, 11, 1, 30 ))).toEqual( 0 );
+				expect( dateCollator.compare( new Date( 2020, 2, 23, 10, 58, 30 ), date2020$03$23T11$00 )).toEqual( 0 );
+				expect( dateCollator.compare( date2020$03$23T11$00, new Date( 2020, 2, 23, 11, 1, 31 ))).toEqual( -1 );
+			});
+			it( `should accept a duration object`, async function()
+			{
+				const dateCollator = new DateCollator( null, {tolerance:{minutes:1, seconds:30}});
+				expect( dateCollator.resolvedOptions().tolerance ).toEqual( 90000 );
+				expect( dateCollator.equals( date2020$03$23T11$00, new Date( 2020, 2, 23, 11, 1, 30 ))).toBe( true );
+			});
+			it( `should not be transitive`, async function()
+			{
+				const dateCollator = new DateCollator( null, {tolerance:{minutes:1}});
+				const date2020$03$23T11$01 = new Date( 2020, 2, 23, 11, 1 );
+				const date2020$03$23T11$02 = new Date( 2020, 2, 23, 11, 2 );
+				expect( dateCollator.equals( date2020$03$23T11$00, date2020$03$23T11$01 )).toBe( true );
+				expect( dateCollator.equals( date2020$03$23T11$01, date2020$03$23T11$02 )).toBe( true );
+				expect( dateCollator.equals( date2020$03$23T11$00, date2020$03$23T11$02 )).toBe( false );
+			});
+		});
+		describe( `Instance usage, example 'key'`, function()
+		{
+			const orderAt0900 = {id:1, createdAt:date2020$03$23T09$00, due:{start:date2026$03$23T11$00}};
+			const orderAt1100 = {id:2, createdAt:date2020$03$23T11$00, due:{start:date2020$03$23T17$00}};
+			const orderAt1700 = {id:3, createdAt:date2020$03$23T17$00, due:null};
+			it( `should be able to sort records by a property`, async function()
+			{
+				const dateCollator = new DateCollator( null, {key:'createdAt'});
+				expect(
+					[orderAt1700, orderAt0900, orderAt1100].sort( dateCollator.compare )
+				)
+				.toEqual( [orderAt0900, orderAt1100, orderAt1700]);
+			});
+			it( `should be able to sort records by a property path, treating a missing field as an invalid date`, async function()
+			{
+				const dateCollator = new DateCollator( null, {key:'due.start', invalid:'last'});
+				expect(
+					[orderAt1700, orderAt0900, orderAt1100].sort( dateCollator.compare )
+				)
+				.toEqual( [orderAt1100, orderAt0900, orderAt1700]);
+				expect( dateCollator.compare( {}, orderAt0900 )).toEqual( +1 );
+			});
+			it( `should be able to sort records by a function`, async function()
+			{
+				const dateCollator = new DateCollator( null, {key:( order ) => order.createdAt, direction:'descending'});
+				expect(
+					[orderAt0900, orderAt1700, orderAt1100].sort( dateCollator.compare )
+				)
+				.toEqual( [orderAt1700, orderAt1100, orderAt0900]);
+			});
+			it( `should treat a 'null' field as nullish`, async function()
+			{
+				const dateCollator = new DateCollator( null, {key:'due.start', invalid:'last', nullish:'first'});
+				expect( dateCollator.compare( {due:{start:null}}, orderAt0900 )).toEqual( -1 );
+				expect( dateCollator.compare( orderAt1700, orderAt0900 )).toEqual( +1 );
+			});
+			it( `should apply to the other methods`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month', 'day'], key:'createdAt'});
+				expect( dateCollator.equals( orderAt0900, orderAt1700 )).toBe( true );
+				expect( dateCollator.collationKey( orderAt0900 )).toEqual( new DateCollator( null, {dateSensitivity:['year', 'month', 'day']}).collationKey( date2020$03$23T17$00 ));
+				expect( dateCollator.resolvedOptions().key ).toEqual( 'createdAt' );
+			});
+		});
+		describe( `Member usage, 'collationKey'`, function()
+		{
+			const dates =
+			[
+				date2026$03$23T11$00,
+				new Date( -62198755200000 ),
+				date2020$03$23T17$00,
+				date2020$03$23T09$00,
+				new Date( 2020, 2, 23, 9, 0, 0, 500 ),
+				date2020$03$23T11$00,
+			];
+			const sortByCollationKey = ( dateCollator, unsortedDates ) => unsortedDates
+				.map(( eachDate, _d, _everyDate ) => ({date:eachDate, collationKey:dateCollator.collationKey( eachDate )}))
+				.sort(( left, right ) => left.collationKey < right.collationKey?-1:left.collationKey > right.collationKey?+1:0 )
+				.map(( eachEntry, _e, _everyEntry ) => eachEntry.date );
+			it( `should sort the same way 'compare' does`, async function()
+			{
+				const dateCollator = new DateCollator();
+				expect( sortByCollationKey( dateCollator, dates )).toEqual( dates.slice().sort( dateCollator.compare ));
+			});
+			it( `should sort the same way 'compare' does with descending parts`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['era', {part:'year', direction:'descending'}, 'hour']});
+				expect( sortByCollationKey( dateCollator, dates )).toEqual( dates.slice().sort( dateCollator.compare ));
+			});
+			it( `should sort the same way 'compare' does with 'invalid' and 'nullish' values`, async function()
+			{
+				const dateCollator = new DateCollator( null, {invalid:'last', nullish:'first'});
+				const datesAndOthers = dates.concat( [invalidDate, null]);
+				expect( sortByCollationKey( dateCollator, datesAndOthers )).toEqual( datesAndOthers.slice().sort( dateCollator.compare ));
+			});
+			it( `should be equal exactly when the dates are equal`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month', 'day']});
+				const days = new Set( dates.map(( eachDate, _d, _everyDate ) => dateCollator.collationKey( eachDate )));
+				expect( days.size ).toEqual( 3 );
+				expect( dateCollator.collationKey( date2020$03$23T09$00 )).toEqual( dateCollator.collationKey( date2020$03$23T17$00 ));
+			});
+			it( `should encode the 'era' of a non-Gregorian calendar`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['era'], dateUsage:'utc', calendar:'japanese'});
+				const heisei = new Date( Date.UTC( 1989, 5, 1 ));
+				const reiwa = new Date( Date.UTC( 2019, 4, 1 ));
+				expect( dateCollator.collationKey( heisei ) < dateCollator.collationKey( reiwa )).toBe( true );
+			});
+		});
+		describe( `Member usage, 'compareDetailed'`, function()
+		{
+			it( `should explain the first differing part`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month', 'day', 'hour', 'minute']});
+				const detailed = dateCollator.compareDetailed( date2020$03$23T09$00, date2020$03$23T17$00 );
+				expect( detailed.sign ).toEqual( -1 );
+				expect( detailed.part ).toEqual( 'hour' );
+				expect( detailed.parts ).toEqual(
+				[
+					{part:'year', left:2020, right:2020, difference:0},
+					{part:'month', left:2, right:2, difference:0},
+					{part:'day', left:23, right:23, difference:0},
+					{part:'hour', left:9, right:17, difference:-8},
+					{part:'minute', left:0, right:0, difference:0},
+				]);
+			});
+			it( `should give the sign of 'compare' with a descending part`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:[{part:'year', direction:'descending'}, 'month']});
+				const detailed = dateCollator.compareDetailed( date2020$03$23T09$00, date2026$03$23T11$00 );
+				expect( detailed.sign ).toEqual( +1 );
+				expect( detailed.part ).toEqual( 'year' );
+				expect( detailed.parts[ 0 ].difference ).toEqual( -6 );
+			});
+			it( `should not have a differing part for equal or invalid dates`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month', 'day'], invalid:'first'});
+				expect( dateCollator.compareDetailed( date2020$03$23T09$00, date2020$03$23T17$00 ).part ).toBeUndefined();
+				expect( dateCollator.compareDetailed( invalidDate, date2020$03$23T17$00 )).toEqual( {sign:-1, part:undefined, parts:[]});
+			});
+		});
+		describe( `Member usage, 'matches' and 'nextMatches'`, function()
+		{
+			const dateCollator = new DateCollator();
+			it( `should match values, lists, and ranges of date parts`, async function()
+			{
+				// March 23, 2020 was a Monday.
+				expect( dateCollator.matches( date2020$03$23T09$00, {weekday:1, hour:9})).toBe( true );
+				expect( dateCollator.matches( date2020$03$23T09$00, {weekday:[1, 3, 5], hour:{from:9, to:16}})).toBe( true );
+				expect( dateCollator.matches( date2020$03$23T17$00, {weekday:[1, 3, 5], hour:{from:9, to:16}})).toBe( false );
+				expect( dateCollator.matches( date2020$03$23T09$00, {day:1, quarter:4})).toBe( false );
+				expect( dateCollator.matches( new Date( 2020, 10, 1 ), {day:1, quarter:4})).toBe( true );
+				expect( dateCollator.matches( date2020$03$23T09$00, {month:[{to:1}, {from:11}]})).toBe( false );
+			});
+			it( `should number the weekday like 'Date.prototype.getDay()' regardless of 'firstDayOfWeek'`, async function()
+			{
+				const dateCollatorFromMonday = new DateCollator( 'de-DE', {firstDayOfWeek:1});
+				expect( dateCollatorFromMonday.matches( date2020$03$23T09$00, {weekday:1})).toBe( true );
+				expect( dateCollatorFromMonday.matches( new Date( 2020, 2, 22 ), {weekday:{from:1, to:5}})).toBe( false );
+			});
+			it( `should apply the 'key' to the date tested but not to the start of a search`, async function()
+			{
+				const dateCollatorByStart = new DateCollator( null, {key:'start'});
+				expect( dateCollatorByStart.matches( {start:new Date( 2020, 2, 23, 9, 0 )}, {weekday:1, hour:9})).toBe( true );
+				expect( dateCollatorByStart.nextMatches( new Date( 2020, 2, 23, 12, 0 ), {weekday:1, hour:9})).toEqual( [new Date( 2020, 2, 30, 9, 0 )]);
+			});
+			it( `should not match invalid dates or parts that a plain date does not have`, async function()
+			{
+				expect( dateCollator.matches( invalidDate, {})).toBe( false );
+				expect( dateCollator.matches( '2020-03-23', {day:23})).toBe( true );
+				expect( dateCollator.matches( '2020-03-23', {day:23, hour:0})).toBe( false );
+			});
+			it( `should throw an exception for an invalid pattern`, async function()
+			{
+				expect(() => dateCollator.matches( anyValidDate, {hours:9})).toThrowError( RangeError );
+				expect(() => dateCollator.matches( anyValidDate, {hour:'9'})).toThrowError( TypeError );
+				expect(() => dateCollator.matches( anyValidDate, {hour:{}})).toThrowError( TypeError );
+			});
+			it( `should list the next matching dates`, async function()
+			{
+				expect( dateCollator.nextMatches( date2020$03$23T09$00, {weekday:1, hour:9}, 2 ))
+				.toEqual( [new Date( 2020, 2, 30, 9, 0 ), new Date( 2020, 3, 6, 9, 0 )]);
+				expect( dateCollator.nextMatches( date2020$03$23T09$00, {day:1, quarter:4}, 3 ))
+				.toEqual( [new Date( 2020, 9, 1 ), new Date( 2020, 10, 1 ), new Date( 2020, 11, 1 )]);
+			});
+			it( `should list the next matching dates in the collator's time zone`, async function()
+			{
+				const dateCollatorInKolkata = new DateCollator( null, {timeZone:'Asia/Kolkata'});
+				expect( dateCollatorInKolkata.nextMatches( new Date( Date.UTC( 2020, 2, 23, 3, 0 )), {hour:9, minute:30}, 2 ))
+				.toEqual( [new Date( Date.UTC( 2020, 2, 23, 4, 0 )), new Date( Date.UTC( 2020, 2, 24, 4, 0 ))]);
+			});
+			it( `should give up on a pattern that never matches`, async function()
+			{
+				expect( dateCollator.nextMatches( date2020$03$23T09$00, {month:1, day:30}, 1, {maxSteps:1000})).toEqual( []);
+			});
+		});
+		describe( `Member usage, 'relate' and 'compareIntervals'`, function()
+		{
+			const at = ( hour ) => new Date( 2020, 2, 23, hour, 0 );
+			const dateCollator = new DateCollator();
+			it( `should determine each of the 13 interval relations`, async function()
+			{
+				const interval = [at( 10 ), at( 14 )];
+				const relations =
+				[
+					[[at( 8 ), at( 9 )], 'before'],
+					[[at( 8 ), at( 10 )], 'meets'],
+					[[at( 8 ), at( 12 )], 'overlaps'],
+					[[at( 10 ), at( 12 )], 'starts'],
+					[[at( 11 ), at( 12 )], 'during'],
+					[[at( 12 ), at( 14 )], 'finishes'],
+					[[at( 10 ), at( 14 )], 'equals'],
+					[[at( 15 ), at( 16 )], 'after'],
+					[[at( 14 ), at( 16 )], 'metBy'],
+					[[at( 12 ), at( 16 )], 'overlappedBy'],
+					[[at( 10 ), at( 16 )], 'startedBy'],
+					[[at( 8 ), at( 16 )], 'contains'],
+					[[at( 8 ), at( 14 )], 'finishedBy'],
+				];
+				expect( relations.map(( eachRelation ) => dateCollator.relate( eachRelation[ 0 ], interval )))
+				.toEqual( relations.map(( eachRelation ) => eachRelation[ 1 ]));
+				expect( Object.values( DateCollator.IntervalRelation ).sort())
+				.toEqual( relations.map(( eachRelation ) => eachRelation[ 1 ]).sort());
+			});
+			it( `should relate intervals at the collator's granularity`, async function()
+			{
+				const dateCollatorDownToDay = new DateCollator( null, {dateSensitivity:['year', 'month', 'day']});
+				const booking = {start:new Date( 2020, 2, 23, 14, 0 ), end:new Date( 2020, 2, 24, 10, 0 )};
+				const nextBooking = {start:new Date( 2020, 2, 24, 15, 0 ), end:new Date( 2020, 2, 26, 10, 0 )};
+				expect( dateCollator.relate( booking, nextBooking )).toEqual( 'before' );
+				expect( dateCollatorDownToDay.relate( booking, nextBooking )).toEqual( 'meets' );
+				expect( dateCollatorDownToDay.relate( [date2020$03$23T09$00, date2020$03$23T17$00], booking )).toEqual( 'starts' );
+			});
+			it( `should relate a single date as an interval`, async function()
+			{
+				expect( dateCollator.relate( at( 12 ), [at( 10 ), at( 14 )])).toEqual( 'during' );
+				expect( dateCollator.relate( at( 10 ), [at( 10 ), at( 14 )])).toEqual( 'starts' );
+			});
+			it( `should get the interval of a record by its 'key'`, async function()
+			{
+				const dateCollatorByPeriod = new DateCollator( null, {key:'period'});
+				expect( dateCollatorByPeriod.relate( {period:[at( 8 ), at( 12 )]}, {period:{start:at( 10 ), end:at( 14 )}})).toEqual( 'overlaps' );
+			});
+			it( `should sort intervals by start and then by end`, async function()
+			{
+				const intervals = [[at( 10 ), at( 14 )], [at( 8 ), at( 16 )], [at( 10 ), at( 12 )], [at( 8 ), at( 9 )]];
+				expect( intervals.slice().sort( dateCollator.compareIntervals ))
+				.toEqual( [intervals[ 3 ], intervals[ 1 ], intervals[ 2 ], intervals[ 0 ]]);
+				expect( dateCollator.compareIntervals ).toBe( dateCollator.compareIntervals );
+			});
+			it( `should throw a RangeError for an interval whose start is after its end`, async function()
+			{
+				const inverted = [new Date( 2020, 0, 5 ), new Date( 2020, 0, 1 )];
+				const message = `DateCollator interval start '${inverted[ 0 ]}' must not be after its end '${inverted[ 1 ]}'.`;
+				expect( () => dateCollator.relate( inverted, [new Date( 2020, 0, 2 ), new Date( 2020, 0, 3 )])).toThrowError( RangeError, message );
+				expect( () => [[at( 8 ), at( 9 )], inverted].sort( dateCollator.compareIntervals )).toThrowError( RangeError, message );
+				// Ends equal at the collator's granularity, or that are not valid dates, are not inverted.
+				const dateCollatorDownToDay = new DateCollator( null, {dateSensitivity:['year', 'month', 'day'], nullish:'first'});
+				expect( dateCollatorDownToDay.relate( [at( 14 ), at( 10 )], [at( 8 ), at( 16 )])).toEqual( 'equals' );
+				expect( dateCollatorDownToDay.relate( [at( 14 ), null], [at( 8 ), at( 16 )])).toEqual( 'before' );
+			});
+		});
+		describe( `Member usage, 'groupBy'`, function()
+		{
+			const events =
+			[
+				{title:'Standup', start:date2020$03$23T09$00},
+				{title:'Retrospective', start:date2026$03$23T11$00},
+				{title:'Review', start:date2020$03$23T17$00},
+				{title:'Lunch', start:date2020$03$23T11$00},
+			];
+			it( `should group items by day in order with labels`, async function()
+			{
+				const dateCollator = new DateCollator( 'en-US', {dateSensitivity:['year', 'month', 'day']});
+				const buckets = Array.from( dateCollator.groupBy( events, ( event ) => event.start ).values());
+				expect( buckets.map(( eachBucket ) => eachBucket.label )).toEqual( ['March 23, 2020', 'March 23, 2026']);
+				expect( buckets[ 0 ].items.map(( eachEvent ) => eachEvent.title )).toEqual( ['Standup', 'Review', 'Lunch']);
+				expect( buckets[ 1 ].items.map(( eachEvent ) => eachEvent.title )).toEqual( ['Retrospective']);
+			});
+			it( `should key buckets by collation key`, async function()
+			{
+				const dateCollator = new DateCollator( 'en-US', {dateSensitivity:['year', 'month', 'day']});
+				const buckets = dateCollator.groupBy( [date2020$03$23T17$00, date2020$03$23T09$00]);
+				expect( Array.from( buckets.keys())).toEqual( [dateCollator.collationKey( date2020$03$23T09$00 )]);
+				expect( buckets.get( dateCollator.collationKey( date2020$03$23T09$00 )).items ).toEqual( [date2020$03$23T17$00, date2020$03$23T09$00]);
+			});
+			it( `should label only the configured parts, including derived parts`, async function()
+			{
+				const meridianCollator = new DateCollator( 'en-US', {dateSensitivity:['dayPeriod']});
+				const quarterCollator = new DateCollator( 'en-US', {dateSensitivity:['year', 'quarter'], direction:'descending'});
+				const meridianLabels = Array.from( meridianCollator.groupBy( events, ( event ) => event.start ).values())
+					.map(( eachBucket ) => eachBucket.label );
+				const quarterLabels = Array.from( quarterCollator.groupBy( events, ( event ) => event.start ).values())
+					.map(( eachBucket ) => eachBucket.label );
+				expect( meridianLabels ).toEqual( ['AM', 'PM']);
+				expect( quarterLabels ).toEqual( ['2026 Q1', '2020 Q1']);
+			});
+			it( `should label invalid dates by their string forms`, async function()
+			{
+				const dateCollator = new DateCollator( 'en-US', {dateSensitivity:['year'], invalid:'last'});
+				const labels = Array.from( dateCollator.groupBy( [null, date2020$03$23T09$00, invalidDate]).values())
+					.map(( eachBucket ) => eachBucket.label );
+				expect( labels ).toEqual( ['2020', 'Invalid Date', 'null']);
+			});
+		});
+		describe( `Member usage, sorted arrays`, function()
+		{
+			const dateCollatorDownToDay = new DateCollator( null, {dateSensitivity:['year', 'month', 'day']});
+			const date2020$03$22T12$00 = new Date( 2020, 2, 22, 12, 0 );
+			const date2020$03$24T12$00 = new Date( 2020, 2, 24, 12, 0 );
+			const sorted =
+			[
+				date2020$03$22T12$00,
+				date2020$03$23T09$00,
+				date2020$03$23T11$00,
+				date2020$03$23T17$00,
+				date2020$03$24T12$00,
+				date2026$03$23T11$00,
+			];
+			it( `should find the first and last entries on the same day`, async function()
+			{
+				expect( dateCollatorDownToDay.indexOf( sorted, new Date( 2020, 2, 23, 23, 0 ))).toEqual( 1 );
+				expect( dateCollatorDownToDay.lastIndexOf( sorted, new Date( 2020, 2, 23, 0, 0 ))).toEqual( 3 );
+			});
+			it( `should not find an entry on a day without any`, async function()
+			{
+				expect( dateCollatorDownToDay.indexOf( sorted, new Date( 2021, 0, 1 ))).toEqual( -1 );
+				expect( dateCollatorDownToDay.lastIndexOf( sorted, new Date( 2021, 0, 1 ))).toEqual( -1 );
+				expect( dateCollatorDownToDay.indexOf( [], date2020$03$23T09$00 )).toEqual( -1 );
+			});
+			it( `should insert after the entries on the same day`, async function()
+			{
+				const copy = sorted.slice();
+				const date = new Date( 2020, 2, 23, 0, 0 );
+				expect( dateCollatorDownToDay.insertionIndex( copy, date )).toEqual( 4 );
+				expect( dateCollatorDownToDay.insertSorted( copy, date )).toEqual( 4 );
+				expect( copy[ 4 ]).toBe( date );
+				expect( copy.length ).toEqual( sorted.length + 1 );
+			});
+			it( `should return the whole days of an inclusive range`, async function()
+			{
+				expect(
+					dateCollatorDownToDay.range( sorted, new Date( 2020, 2, 23, 12, 0 ), new Date( 2020, 2, 24, 0, 0 ))
+				)
+				.toEqual( sorted.slice( 1, 5 ));
+			});
+			it( `should exclude the days of the bounds of an exclusive range`, async function()
+			{
+				expect(
+					dateCollatorDownToDay.range( sorted, date2020$03$22T12$00, date2020$03$24T12$00, {inclusive:false})
+				)
+				.toEqual( sorted.slice( 1, 4 ));
+				expect(
+					dateCollatorDownToDay.range( sorted, date2020$03$23T09$00, date2020$03$23T17$00, {inclusive:false})
+				)
+				.toEqual( []);
+			});
+			it( `should treat an 'undefined' bound as unbounded`, async function()
+			{
+				expect( dateCollatorDownToDay.range( sorted, undefined, date2020$03$22T12$00 )).toEqual( sorted.slice( 0, 1 ));
+				expect( dateCollatorDownToDay.range( sorted, date2020$03$24T12$00 )).toEqual( sorted.slice( 4 ));
+			});
+			it( `should apply the 'key' to the entries but not to the dates searched for`, async function()
+			{
+				const dateCollatorByCreatedDay = new DateCollator( null, {key:'createdAt', dateSensitivity:['year', 'month', 'day'], invalid:'throw'});
+				const records = [{createdAt:new Date( 2020, 0, 1, 9, 0 )}, {createdAt:new Date( 2020, 0, 2, 9, 0 )}, {createdAt:new Date( 2020, 0, 3, 9, 0 )}];
+				expect( dateCollatorByCreatedDay.indexOf( records, new Date( 2020, 0, 2 ))).toEqual( 1 );
+				expect( dateCollatorByCreatedDay.lastIndexOf( records, new Date( 2020, 0, 2 ))).toEqual( 1 );
+				expect( dateCollatorByCreatedDay.indexOf( records, new Date( 2020, 0, 4 ))).toEqual( -1 );
+				expect( dateCollatorByCreatedDay.insertionIndex( records, new Date( 2020, 0, 2 ))).toEqual( 2 );
+				expect( dateCollatorByCreatedDay.range( records, new Date( 2020, 0, 2 ))).toEqual( records.slice( 1 ));
+				expect( dateCollatorByCreatedDay.range( records, new Date( 2020, 0, 1 ), new Date( 2020, 0, 2 ), {inclusive:false})).toEqual( []);
+				const copy = records.slice();
+				const record = {createdAt:new Date( 2020, 0, 2, 12, 0 )};
+				expect( dateCollatorByCreatedDay.insertSorted( copy, record )).toEqual( 2 );
+				expect( copy[ 2 ]).toBe( record );
+			});
+		});
+		describe( `Member usage, 'merge' and 'unique'`, function()
+		{
+			const dateCollatorDownToMinute = new DateCollator( null, {dateSensitivity:['year', 'month', 'day', 'hour', 'minute'], key:'time'});
+			const at = ( hour, minute, source ) => ({time:new Date( 2020, 2, 23, hour, minute ), source});
+			function* everyHourFrom( hour, source )
+			{
+				for( let h = hour; ; ++h )
+				{yield( at( h, 0, source ));}
+			}
+			// An async iterable of the items of an array, each after a delay (like a file read line by line).
+			const delayed = ( items ) =>
+			{
+				let i = 0;
+				return(
+				{
+					[Symbol.asyncIterator]()
+					{return( this );},
+					next:() => new Promise(( resolve ) => setTimeout( resolve, 0 ))
+						.then(() => i < items.length?{value:items[ i++ ], done:false}
+							:{value:undefined, done:true}),
+				});
+			};
+			const collect = async function( asyncIterable )
+			{
+				const iterator = asyncIterable[ Symbol.asyncIterator ]();
+				const items = [];
+				for( let result = await iterator.next(); !result.done; result = await iterator.next())
+				{items.push( result.value );}
+				return( items );
+			};
+			it( `should merge sorted iterables in order, earlier iterables first among equal items`, async function()
+			{
+				const a = [at( 9, 0, 'a' ), at( 10, 30, 'a' ), at( 12, 0, 'a' )];
+				const b = [at( 9, 0, 'b' ), at( 11, 0, 'b' )];
+				const c = [];
+				const merged = dateCollatorDownToMinute.merge( a, b, c );
+				expect( typeof( merged[ Symbol.iterator ])).toEqual( 'function' );
+				expect( Array.from( merged )).toEqual( [a[ 0 ], b[ 0 ], a[ 1 ], b[ 1 ], a[ 2 ]]);
+				expect( Array.from( dateCollatorDownToMinute.merge())).toEqual( []);
+			});
+			it( `should merge lazily and close the iterables when stopped early`, async function()
+			{
+				let isClosed = false;
+				function* closing( iterable )
+				{
+					try
+					{yield* iterable;}
+					finally
+					{isClosed = true;}
+				}
+				const merged = [];
+				for( const eachItem of dateCollatorDownToMinute.merge( everyHourFrom( 8, 'a' ), closing( everyHourFrom( 9, 'b' ))))
+				{
+					merged.push( eachItem.source );
+					if( merged.length == 4 )
+					{break;}
+				}
+				expect( merged ).toEqual( ['a', 'a', 'b', 'a']);
+				expect( isClosed ).toBe( true );
+			});
+			it( `should merge async iterables (with sync ones) into an async iterable`, async function()
+			{
+				const a = [at( 9, 0, 'a' ), at( 11, 0, 'a' )];
+				const b = [at( 10, 0, 'b' ), at( 11, 0, 'b' ), at( 12, 0, 'b' )];
+				const merged = dateCollatorDownToMinute.merge( delayed( a ), b );
+				expect( typeof( merged[ Symbol.asyncIterator ])).toEqual( 'function' );
+				expect( await collect( merged )).toEqual( [a[ 0 ], b[ 0 ], a[ 1 ], b[ 1 ], b[ 2 ]]);
+			});
+			it( `should close the async iterables when returned early`, async function()
+			{
+				let isClosed = false;
+				const a = delayed( [at( 9, 0, 'a' ), at( 10, 0, 'a' )]);
+				a.return = () =>
+				{
+					isClosed = true;
+					return( Promise.resolve( {value:undefined, done:true}));
+				};
+				const merged = dateCollatorDownToMinute.merge( a, [at( 11, 0, 'b' )]);
+				expect( (await merged.next()).value.source ).toEqual( 'a' );
+				expect( await merged.return()).toEqual( {value:undefined, done:true});
+				expect( isClosed ).toBe( true );
+				expect( await merged.next()).toEqual( {value:undefined, done:true});
+			});
+			it( `should keep the first of each run of equal items`, async function()
+			{
+				const items = [at( 9, 0, 'a' ), at( 9, 0, 'b' ), at( 9, 1, 'a' ), at( 9, 1, 'b' ), at( 10, 0, 'a' )];
+				expect( Array.from( dateCollatorDownToMinute.unique( items ))).toEqual( [items[ 0 ], items[ 2 ], items[ 4 ]]);
+				expect( await collect( dateCollatorDownToMinute.unique( delayed( items )))).toEqual( [items[ 0 ], items[ 2 ], items[ 4 ]]);
+				const firstHours = [];
+				for( const eachItem of new DateCollator( null, {dateSensitivity:['day'], key:'time'}).unique( everyHourFrom( 20, 'a' )))
+				{
+					firstHours.push( eachItem.time.getHours());
+					if( firstHours.length == 2 )
+					{break;}
+				}
+				expect( firstHours ).toEqual( [20, 0]);
+			});
+			it( `should throw a TypeError for an argument that is not iterable`, async function()
+			{
+				expect( () => dateCollatorDownToMinute.merge( [], 5 ))
+				.toThrowError( TypeError, `DateCollator 'merge' argument at index 1 must be an iterable or an async iterable.` );
+				expect( () => dateCollatorDownToMinute.unique( null ))
+				.toThrowError( TypeError, `DateCollator 'unique' argument must be an iterable or an async iterable.` );
+			});
+		});
+		describe( `Member usage, 'equals'`, function()
+		{
+			it( `should be whether 'compare' returns 0`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month', 'day']});
+				expect( dateCollator.equals( date2020$03$23T09$00, date2020$03$23T17$00 )).toBe( true );
+				expect( dateCollator.equals( date2020$03$23T09$00, date2026$03$23T11$00 )).toBe( false );
+			});
+		});
+		describe( `Member usage, 'thenBy' and static usage, 'chain'`, function()
+		{
+			const titleCollator = new Intl.Collator( 'en-US' );
+			const compareTitles = ( leftEvent, rightEvent ) => titleCollator.compare( leftEvent.title, rightEvent.title );
+			const lunch = {start:date2020$03$23T11$00, title:'Lunch'};
+			const standUp = {start:date2020$03$23T09$00, title:'Stand-up'};
+			const review = {start:date2020$03$23T17$00, title:'Review'};
+			const retrospective = {start:date2026$03$23T11$00, title:'Retrospective'};
+			it( `should break the ties of 'compare' with the next comparator`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year', 'month', 'day'], key:'start'});
+				const events = [retrospective, standUp, review, lunch];
+				expect( events.sort( dateCollator.thenBy( compareTitles ))).toEqual( [lunch, review, standUp, retrospective]);
+			});
+			it( `should accept objects with a 'compare' function, like other collators`, async function()
+			{
+				const compareEvents = DateCollator.chain(
+					new DateCollator( null, {dateSensitivity:['year', 'month', 'day'], key:'start'}),
+					new DateCollator( null, {dateSensitivity:['hour'], direction:'descending', key:'start'})
+				);
+				expect( [standUp, retrospective, lunch, review].sort( compareEvents )).toEqual( [review, lunch, standUp, retrospective]);
+			});
+			it( `should reverse the chain so far and keep chaining`, async function()
+			{
+				const dateCollator = new DateCollator( null, {dateSensitivity:['year'], key:'start'});
+				const compareEvents = dateCollator.thenBy( compareTitles ).reversed();
+				expect( [lunch, retrospective, review, standUp].sort( compareEvents )).toEqual( [retrospective, standUp, review, lunch]);
+				expect( compareEvents.reversed()( lunch, review )).toEqual( -1 );
+				const compareEventsThenByStart = DateCollator.chain( dateCollator ).reversed().thenBy( new DateCollator( null, {key:'start'}));
+				expect( [review, retrospective, lunch].sort( compareEventsThenByStart )).toEqual( [retrospective, lunch, review]);
+			});
+			it( `should tie when every comparator ties`, async function()
+			{
+				expect( DateCollator.chain()( lunch, review )).toEqual( 0 );
+				expect( new DateCollator( null, {dateSensitivity:['year'], key:'start'}).thenBy()( lunch, review )).toEqual( 0 );
+			});
+			it( `should throw a TypeError for a comparator that is not one`, async function()
+			{
+				expect( () => DateCollator.chain( compareTitles, 'title' )).toThrowError( TypeError, `DateCollator comparator at index 1 must be a function or an object with a 'compare' function.` );
+				expect( () => new DateCollator().thenBy( {})).toThrowError( TypeError, `DateCollator comparator at index 0 must be a function or an object with a 'compare' function.` );
+			});
+		});
+		describe( `Member usage, 'resolvedOptions'`, function()
+		{
+			it( `should resolve the default options`, async function()
+			{
+				const resolvedOptions = new DateCollator( 'en-US' ).resolvedOptions();
+				expect( resolvedOptions.locale ).toEqual( 'en-US' );
+				expect( resolvedOptions.calendar ).toEqual( 'gregory' );
+				expect( resolvedOptions.dateSensitivity ).toEqual( ['year', 'month', 'day', 'hour', 'minute', 'second', 'fractionalSecond']);
+				expect( resolvedOptions.dateUsage ).toEqual( 'local' );
+				expect( 'timeZone' in resolvedOptions ).toBe( false );
+			});
+			it( `should resolve the calendar and canonical time zone`, async function()
+			{
+				const resolvedOptions = new DateCollator( 'ja-JP-u-ca-japanese', {timeZone:'asia/tokyo'}).resolvedOptions();
+				expect( resolvedOptions.locale ).toEqual( 'ja-JP-u-ca-japanese' );
+				expect( resolvedOptions.calendar ).toEqual( 'japanese' );
+				expect( resolvedOptions.timeZone ).toEqual( 'Asia/Tokyo' );
+			});
+			it( `should return a frozen copy`, async function()
+			{
+				const options = {dateSensitivity:['year', 'month']};
+				const dateCollator = new DateCollator( null, options );
+				const resolvedOptions = dateCollator.resolvedOptions();
+				expect( Object.isFrozen( resolvedOptions )).toBe( true );
+				expect( Object.isFrozen( resolvedOptions.dateSensitivity )).toBe( true );
+				options.dateSensitivity.push( 'day' );
+				expect( dateCollator.resolvedOptions().dateSensitivity ).toEqual( ['year', 'month']);
+				expect( dateCollator.resolvedOptions()).not.toBe( resolvedOptions );
+			});
+		});
+		describe( `Member usage, 'toJSON' and static usage, 'fromJSON'`, function()
+		{
+			it( `should restore an equivalent collator`, async function()
+			{
+				const dateCollator = new DateCollator( 'de-DE', {dateSensitivity:[{part:'year', direction:'descending'}, 'month', {part:'minute', step:15}], timeZone:'America/Chicago', key:'start', tolerance:{seconds:1}});
+				const json = JSON.stringify( dateCollator );
+				const restoredDateCollator = DateCollator.fromJSON( json );
+				expect( restoredDateCollator.resolvedOptions()).toEqual( dateCollator.resolvedOptions());
+				expect( DateCollator.fromJSON( JSON.parse( json )).resolvedOptions()).toEqual( dateCollator.resolvedOptions());
+				expect( restoredDateCollator.compare( {start:date2020$03$23T09$00}, {start:date2026$03$23T11$00})).toEqual( +1 );
+			});
+			it( `should throw a TypeError for a function 'key' or a value that is not an object`, async function()
+			{
+				expect( () => JSON.stringify( new DateCollator( null, {key:( record ) => record.start})))
+				.toThrowError( TypeError, `DateCollator options property 'key' must be a string to be serialized.` );
+				expect( () => DateCollator.fromJSON( '[]' )).toThrowError( TypeError, `DateCollator JSON must be an object or a JSON string of one.` );
+				expect( () => DateCollator.fromJSON( null )).toThrowError( TypeError, `DateCollator JSON must be an object or a JSON string of one.` );
+			});
+			it( `should validate the options like the constructor`, async function()
+			{
+				expect( () => DateCollator.fromJSON( '{"dateUsage":"gmt"}' ))
+				.toThrowError( RangeError, `Value 'gmt' out of range for DateCollator options property 'dateUsage'.` );
+			});
+		});
+		describe( `Static usage, 'parseSpec'`, function()
+		{
+			it( `should parse entries and a date usage or time zone`, async function()
+			{
+				expect( DateCollator.parseSpec( 'year,month,day@utc' )).toEqual( {dateSensitivity:['year', 'month', 'day'], dateUsage:'utc'});
+				expect( DateCollator.parseSpec( '-year, month,minute/15:round@America/Chicago' )).toEqual(
+				{
+					dateSensitivity:[{part:'year', direction:'descending'}, 'month', {part:'minute', step:15, rounding:'round'}],
+					timeZone:'America/Chicago',
+				});
+				expect( DateCollator.parseSpec( 'hour,minute' )).toEqual( {dateSensitivity:['hour', 'minute']});
+				expect( DateCollator.parseSpec( '@local' )).toEqual( {dateUsage:'local'});
+			});
+			it( `should throw errors naming the bad part`, async function()
+			{
+				expect( () => DateCollator.parseSpec( 'year,mnth@utc' ))
+				.toThrowError( RangeError, `Value 'mnth' out of range for DateCollator options property 'dateSensitivity'.` );
+				expect( () => DateCollator.parseSpec( 'year,,day' )).toThrowError( RangeError, `Value '' out of range for DateCollator spec entry.` );
+				expect( () => DateCollator.parseSpec( 'minute/x' )).toThrowError( RangeError, `Value 'minute/x' out of range for DateCollator spec entry.` );
+				expect( () => DateCollator.parseSpec( 'minute/0' ))
+				.toThrowError( RangeError, `Value '0' out of range for DateCollator options property 'dateSensitivity' entry property 'step'.` );
+				expect( () => DateCollator.parseSpec( 'year@' )).toThrowError( RangeError, `Value '' out of range for DateCollator spec time zone.` );
+				expect( () => DateCollator.parseSpec( 'year@Mars/Olympus_Mons' ))
+				.toThrowError( RangeError, `Value 'Mars/Olympus_Mons' out of range for DateCollator options property 'timeZone'.` );
+				expect( () => DateCollator.parseSpec( ['year'])).toThrowError( TypeError, `DateCollator spec must be a string.` );
+			});
+		});
+		describe( `Static usage, 'supportedLocalesOf'`, function()
+		{
+			it( `should return only the supported locales`, async function()
+			{
+				expect( DateCollator.supportedLocalesOf( ['en-US', 'qq-QQ'])).toEqual( ['en-US']);
+			});
+		});
+		describe( `Member usage, reference to 'compare'`, function()
+		{
+			it( `should be able to sort Dates using 'Array.prototype.sort'`, async function()
+			{
+				const dateCollator = new DateCollator();
+				// Not in chronological order.
+				let dates =
+				[
+					date2020$03$23T17$00,
+					date2020$03$23T11$00,
+					date2020$03$23T09$00,
+					date2026$03$23T11$00,
+				];
+				// Sorted in random order.
+				class RandomCollator
+				{
+					get compare()
+					{
+						function compareUnbound( _left, _right )
+						{return( Math.floor( Math.random() * 3 ) - 1 );}
+						return( compareUnbound.bind( this ));
+					}
+				};
+				const randomCollator = new RandomCollator();
+				dates.sort( randomCollator.compare );
 				// Sort in chronological order.
 				expect(
 					dates.sort( dateCollator.compare )
@@ -187,10 +1615,103 @@ describe( `DateCollator`, function()
 					date2026$03$23T11$00,
 				]);
 			});
+			it( `should be the same function on every reference`, async function()
+			{
+				const dateCollator = new DateCollator();
+				expect( dateCollator.compare ).toBe( dateCollator.compare );
+			});
+		});
+		describe( `Member usage, 'sort' and 'sortBy'`, function()
+		{
+			it( `should sort in place like 'Array.prototype.sort' with 'compare'`, async function()
+			{
+				const dateCollator = new DateCollator( null, {invalid:'last'});
+				const dates = [date2026$03$23T11$00, invalidDate, date2020$03$23T17$00, '2020-03-23T10:00', date2020$03$23T09$00];
+				const sorted = dates.slice().sort( dateCollator.compare );
+				expect( dateCollator.sort( dates )).toBe( dates );
+				expect( dates ).toEqual( sorted );
+			});
+			it( `should sort items by their dates, keeping equal dates in order`, async function()
+			{
+				const dateCollatorDownToDay = new DateCollator( null, {dateSensitivity:['year', 'month', 'day']});
+				const events =
+				[
+					{name:'d', start:date2026$03$23T11$00},
+					{name:'b', start:date2020$03$23T17$00},
+					{name:'a', start:date2020$03$23T09$00},
+					{name:'c', start:date2020$03$23T11$00},
+				];
+				expect(
+					dateCollatorDownToDay.sortBy( events, ( event ) => event.start )
+					.map(( event ) => event.name )
+				)
+				.toEqual( ['b', 'a', 'c', 'd']);
+			});
+			it( `should sort many Dates like 'Array.prototype.sort' with 'compare'`, async function()
+			{
+				// Scatter the Dates over several decades (deterministically, so that runs are comparable).
+				const count = 5000;
+				const dates = Array.from( {length:count}, ( _date, d ) =>
+					new Date( 946684800000 + ((d * 7919) % count) * 86400000 + ((d * 104729) % 86400000))
+				);
+				[
+					new DateCollator(),
+					new DateCollator( null, {dateSensitivity:[{part:'weekday', direction:'descending'}, 'hour', 'year']}),
+					new DateCollator( null, {dateSensitivity:['month', 'day', 'minute'], dateUsage:'utc'}),
+				]
+				.forEach(( eachDateCollator, _c, _everyDateCollator ) =>
+				{expect( eachDateCollator.sort( dates.slice())).toEqual( dates.slice().sort( eachDateCollator.compare ));});
+			});
+		});
+	});
+	describe( `Member usage, 'compare' with 'invalid' and 'nullish'`, function()
+	{
+		const invalidString = 'not a date';
+		it( `should place invalid dates and 'null'/'undefined' first`, async function()
+		{
+			const dateCollator = new DateCollator( null, {invalid:'first'});
+			// Note: `Array.prototype.sort` always places `undefined` last without comparing it.
+			expect(
+				[date2026$03$23T11$00, invalidDate, null, date2020$03$23T09$00].sort( dateCollator.compare )
+			)
+			.toEqual( [null, invalidDate, date2020$03$23T09$00, date2026$03$23T11$00]);
+			expect( dateCollator.compare( undefined, invalidDate )).toBeLessThan( 0 );
+			expect( dateCollator.compare( undefined, null )).toEqual( 0 );
+		});
+		it( `should place invalid dates and 'null'/'undefined' last`, async function()
+		{
+			const dateCollator = new DateCollator( null, {invalid:'last'});
+			expect(
+				[date2026$03$23T11$00, null, invalidString, date2020$03$23T09$00].sort( dateCollator.compare )
+			)
+			.toEqual( [date2020$03$23T09$00, date2026$03$23T11$00, invalidString, null]);
+			expect( dateCollator.compare( undefined, invalidString )).toBeGreaterThan( 0 );
+		});
+		it( `should place 'null'/'undefined' separately from invalid dates`, async function()
+		{
+			const dateCollator = new DateCollator( null, {invalid:'first', nullish:'last'});
+			expect(
+				[null, date2026$03$23T11$00, invalidDate, date2020$03$23T09$00].sort( dateCollator.compare )
+			)
+			.toEqual( [invalidDate, date2020$03$23T09$00, date2026$03$23T11$00, null]);
+		});
+		it( `should throw for invalid dates`, async function()
+		{
+			const dateCollator = new DateCollator( null, {invalid:'throw', nullish:'last'});
+			expect(() => dateCollator.compare( anyValidDate, invalidDate )).toThrowError( RangeError );
+			expect(() => dateCollator.compare( invalidString, anyValidDate )).toThrowError( RangeError );
+			expect( dateCollator.compare( null, anyValidDate )).toBeGreaterThan( 0 );
+		});
+		it( `should throw for 'null'/'undefined'`, async function()
+		{
+			const dateCollator = new DateCollator( null, {nullish:'throw'});
+			expect(() => dateCollator.compare( anyValidDate, undefined )).toThrowError( RangeError );
+			expect( dateCollator.resolvedOptions().invalid ).toEqual( 'legacy' );
 		});
 	});
 	describe( `Member usage, 'compare' return value consistency`, function()
 	{
+		// The default 'legacy' 'invalid' and 'nullish' options.
 		const defaultCollator = new DateCollator();
 		describe( `Comparisons returning a value less than zero`, function()
 		{
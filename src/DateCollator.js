@@ -1,4 +1,1504 @@
 //=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=//
+// The `Intl.DateTimeFormat` 'en-US' short weekday names in `Date.prototype.getDay()` order.
+const weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// The earliest time value a `Date` can represent.
+const minTimeValue = -8.64e15;
+// The milliseconds in a (UTC) day.
+const millisecondsPerDay = 86400000;
+/**
+ * @summary Finds the UTC time value of the first millisecond of a Gregorian day.
+ * @description Unlike `Date.UTC`, which would treat years 0 through 99 as 1900 
+ *	through 1999, every year is read as a full year.
+ * @returns {number} The time value, a multiple of `millisecondsPerDay`.
+ * @param {number} year - The full year, like `Date.prototype.getUTCFullYear()`.
+ * @param {number} month - The zero-based month (which may overflow into the next year).
+ * @param {number} day - The day of the month (which may overflow into the next month).
+ */
+function getUTCDayTime( year, month, day )
+{
+	return( new Date( 0 ).setUTCFullYear( year, month, day ));
+}
+/**
+ * @summary Finds the first instant of the era in which `date` occurs.
+ * @description Calendars like 'japanese' have many eras, so an era cannot be 
+ *	represented by its sign like the Gregorian B.C. and A.D. can.  Instead, each 
+ *	era is represented by the time value of its first millisecond, which orders 
+ *	eras chronologically.  Eras are assumed to be contiguous, so the start is 
+ *	found by stepping back exponentially until before the era and then bisecting.
+ * @returns {number} The time value of the first millisecond of the era (or 0 
+ *	for calendars without eras).
+ * @param {Date} date - A valid `Date`.
+ * @param {Intl.DateTimeFormat} dateTimeFormat - A format including the 'era' part.
+ * @param {Map<string,number>} eraStarts - A cache of previously found era starts by era name.
+ */
+function getEraStart( date, dateTimeFormat, eraStarts )
+{
+	const getEraName = ( timeValue ) => dateTimeFormat.formatToParts( new Date( timeValue ))
+		.filter(( eachPart, _p, _everyPart ) => eachPart.type === 'era' )
+		.map(( eachPart, _p, _everyPart ) => eachPart.value )[ 0 ];
+	const eraName = getEraName( date.getTime());
+	if( eraName === undefined )
+	{return( 0 );}
+	if( !eraStarts.has( eraName ))
+	{
+		let inside = date.getTime();
+		let outside;
+		for( let step = millisecondsPerDay; outside === undefined && inside > minTimeValue; step *= 2 )
+		{
+			const earlier = Math.max( inside - step, minTimeValue );
+			if( getEraName( earlier ) === eraName )
+			{inside = earlier;}
+			else
+			{outside = earlier;}
+		}
+		while( outside !== undefined && inside - outside > 1 )
+		{
+			const middle = Math.floor(( inside + outside ) / 2 );
+			if( getEraName( middle ) === eraName )
+			{inside = middle;}
+			else
+			{outside = middle;}
+		}
+		eraStarts.set( eraName, inside );
+	}
+	return( eraStarts.get( eraName ));
+}
+/**
+ * @returns {*} The date part name of a 'dateSensitivity' entry, which is either 
+ *	the name itself or an object with a `part` property.
+ * @param {DatePartEnum|DateSensitivityEntry|*} dateSensitivity - A 'dateSensitivity' entry.
+ */
+function getDatePartName( dateSensitivity )
+{
+	return( dateSensitivity !== null && typeof( dateSensitivity ) === 'object'?dateSensitivity.part
+		:dateSensitivity );
+}
+/**
+ * @returns {object} The `formatToParts()` values of `date` keyed by part type.
+ * @param {Date} date - A valid `Date`.
+ * @param {Intl.DateTimeFormat} dateTimeFormat
+ */
+function getFormattedPartValues( date, dateTimeFormat )
+{
+	return( dateTimeFormat.formatToParts( date )
+	.reduce(( parts, eachPart, _p, _everyPart ) =>
+	{
+		parts[ eachPart.type ] = eachPart.value;
+		return( parts );
+	}, {}));
+}
+/**
+ * @returns {number} The hour, 0 through 23, of the `formatToParts()` values of 
+ *	an 'h23' format.
+ * @param {object} formattedParts - The values from `getFormattedPartValues`.
+ */
+function getFormattedHour( formattedParts )
+{
+	// Some runtimes format midnight as "24" even with an 'h23' hour cycle.
+	return( Number( formattedParts.hour ) % 24 );
+}
+/**
+ * @returns {number} The day of the week counted from the 'firstDayOfWeek', 
+ *	0 through 6.
+ * @param {number} weekday - The day of the week, like `Date.prototype.getDay()`.
+ * @param {object} options - The collator's resolved options.
+ */
+function getRelativeWeekday( weekday, options )
+{return(( weekday + 7 - options.firstDayOfWeek ) % 7 );}
+// The flexible day periods of each locale (see `getFlexibleDayPeriods`), by locale.
+const flexibleDayPeriodsByLocale = new Map();
+/**
+ * @summary Orders the flexible day periods of a locale (like "in the morning" 
+ *	and "at night") in time order.
+ * @description Each minute of the day is formatted with `Intl.DateTimeFormat`'s 
+ *	`dayPeriod:'long'`, and each day period is numbered in the order it first 
+ *	occurs from midnight, so a day period spanning midnight (like "at night") 
+ *	is numbered 0 both before and after midnight.
+ * @returns {number[]} The number of the day period of each minute of the day.
+ * @param {string} locale - The resolved locale.
+ */
+function getFlexibleDayPeriods( locale )
+{
+	if( !flexibleDayPeriodsByLocale.has( locale ))
+	{
+		const dateTimeFormat = new Intl.DateTimeFormat( locale, {dayPeriod:'long', timeZone:'UTC'});
+		const dayPeriodNames = [];
+		const flexibleDayPeriods = Array.from( {length:24 * 60}, ( _minute, m ) =>
+		{
+			const dayPeriodName = dateTimeFormat.formatToParts( new Date( m * 60000 ))
+				.filter(( eachPart, _p, _everyPart ) => eachPart.type === 'dayPeriod' )
+				.map(( eachPart, _p, _everyPart ) => eachPart.value )[ 0 ];
+			if( !dayPeriodNames.includes( dayPeriodName ))
+			{dayPeriodNames.push( dayPeriodName );}
+			return( dayPeriodNames.indexOf( dayPeriodName ));
+		});
+		flexibleDayPeriodsByLocale.set( locale, flexibleDayPeriods );
+	}
+	return( flexibleDayPeriodsByLocale.get( locale ));
+}
+/**
+ * @returns {number} The hour as on a clock face of the 'hourCycle', i.e., 0 
+ *	through 11 ('h11'), 1 through 12 ('h12'), 0 through 23 ('h23'), or 1 through 
+ *	24 ('h24'), like `Intl.DateTimeFormat` formats it.
+ * @param {number} hour - The hour, 0 through 23.
+ * @param {HourCycleEnum} hourCycle - The collator's 'hourCycle'.
+ */
+function getClockHour( hour, hourCycle )
+{
+	let clockHour;
+	switch( hourCycle )
+	{
+		case 'h11':
+			clockHour = hour % 12;
+			break;
+		case 'h12':
+			clockHour = hour % 12 || 12;
+			break;
+		case 'h24':
+			clockHour = hour || 24;
+			break;
+		default:
+			clockHour = hour;
+	}
+	return( clockHour );
+}
+/**
+ * @summary Calculates the date parts derived from a Gregorian date.
+ * @description Derived parts are always Gregorian (or ISO 8601), regardless 
+ *	of the collator's 'calendar':
+ *	* 'quarter' is 1 through 4.
+ *	* 'isoWeek' is 1 through 53 and 'isoWeekYear' is the year that week belongs to.
+ *	* 'dayOfYear' is 1 through 366.
+ *	* 'weekOfMonth' is 1 through 6, with weeks starting on the 'firstDayOfWeek'.
+ *	* 'fiscalYear' is the year in which the fiscal year ends.
+ * @returns {object} Numeric derived date parts keyed by `DatePartEnum`.
+ * @param {number} year - The full year, like `Date.prototype.getFullYear()`.
+ * @param {number} month - The zero-based month, like `Date.prototype.getMonth()`.
+ * @param {number} day - The day of the month, like `Date.prototype.getDate()`.
+ * @param {object} options - The collator's resolved options.
+ */
+function getDerivedDateParts( year, month, day, options )
+{
+	const getDayNumber = ( eachYear, eachMonth, eachDay ) => getUTCDayTime( eachYear, eachMonth, eachDay ) / millisecondsPerDay;
+	const dayNumber = getDayNumber( year, month, day );
+	const weekday = new Date( dayNumber * millisecondsPerDay ).getUTCDay();
+	// The Thursday of the ISO week (which starts on Monday) determines its year.
+	const thursdayDayNumber = dayNumber + 3 - (weekday + 6) % 7;
+	const isoWeekYear = new Date( thursdayDayNumber * millisecondsPerDay ).getUTCFullYear();
+	const firstWeekdayOfMonth = getRelativeWeekday( new Date( getDayNumber( year, month, 1 ) * millisecondsPerDay ).getUTCDay(), options );
+	return(
+	{
+		dayOfYear:dayNumber - getDayNumber( year, 0, 1 ) + 1,
+		fiscalYear:options.fiscalYearStartMonth > 0 && month >= options.fiscalYearStartMonth?year + 1
+			:year,
+		isoWeek:Math.floor(( thursdayDayNumber - getDayNumber( isoWeekYear, 0, 1 )) / 7 ) + 1,
+		isoWeekYear,
+		quarter:Math.floor( month / 3 ) + 1,
+		weekOfMonth:Math.floor(( day - 1 + firstWeekdayOfMonth ) / 7 ) + 1,
+	});
+}
+/**
+ * @summary Reads every date part of `date` as formatted in the collator's 
+ *	time zone and calendar.
+ * @description The values match those read by the `Date.prototype` getters 
+ *	(like `getMonth()` and `getDay()`) so that formatted comparisons behave like 
+ *	'local' and 'utc' comparisons.  For non-Gregorian calendars, 'month' is the 
+ *	zero-based ordinal of the month within its year (a leap month sorting half 
+ *	a month after the month it repeats), 'year' is the year within its era 
+ *	(or the related Gregorian year for cyclic calendars like 'chinese'), and 
+ *	'era' is the first instant of the era.
+ * @returns {object} Numeric date parts keyed by `DatePartEnum`.
+ * @param {Date} date - A valid `Date`.
+ * @param {object} formats - An object with the following properties:
+ * @param {Intl.DateTimeFormat} formats.dateTimeFormat - An 'en-US', 'gregory', 'h23' format of all date parts.
+ * @param {Intl.DateTimeFormat} [formats.calendarDateTimeFormat] - An 'en-US', 'latn' format of the 'era', 'year', 'month', and 'day' of a non-Gregorian calendar.
+ * @param {Intl.DateTimeFormat} [formats.calendarMonthFormat] - An 'en-US', 'latn' format of only the numeric 'month' of the non-Gregorian calendar.
+ * @param {Map<string,number>} [formats.eraStarts] - A cache of era starts for the non-Gregorian calendar.
+ * @param {object} options - The collator's resolved options.
+ */
+function getFormattedDateParts( date, formats, options )
+{
+	const formattedParts = getFormattedPartValues( date, formats.dateTimeFormat );
+	// Transform "1 BC" to 0, "2 BC" to -1, etc. like `Date.prototype.getFullYear()`.
+	const gregorianYear = formattedParts.era === 'BC'?1 - Number( formattedParts.year )
+		:Number( formattedParts.year );
+	const gregorianMonth = Number( formattedParts.month ) - 1;
+	const hour = getFormattedHour( formattedParts );
+	const dateParts = Object.assign( getDerivedDateParts( gregorianYear, gregorianMonth, Number( formattedParts.day ), options ),
+	{
+		day:Number( formattedParts.day ),
+		// Transform a.m. to 0 and p.m. to 1.
+		dayPeriod:Math.floor( hour / 12 ),
+		// Transform B.C. to -1 and A.D. to +1.
+		era:Math.sign( gregorianYear ),
+		hour,
+		minute:Number( formattedParts.minute ),
+		second:Number( formattedParts.second ),
+		month:gregorianMonth,
+		weekday:getRelativeWeekday( weekdayNames.indexOf( formattedParts.weekday ), options ),
+		year:gregorianYear,
+		// Note: No time zone offset has had a fraction of a second, so milliseconds are the same in every zone.
+		fractionalSecond:date.getUTCMilliseconds(),
+	});
+	if( formats.calendarDateTimeFormat )
+	{
+		const calendarParts = getFormattedPartValues( date, formats.calendarDateTimeFormat );
+		const calendarMonth = getFormattedPartValues( date, formats.calendarMonthFormat ).month;
+		dateParts.day = Number( calendarParts.day );
+		dateParts.era = getEraStart( date, formats.calendarDateTimeFormat, formats.eraStarts );
+		// Transform a leap month like "2bis" to follow month 2.
+		dateParts.month = parseInt( calendarMonth, 10 ) - 1 + (/\D/.test( calendarMonth )?0.5:0);
+		dateParts.year = Number( calendarParts.relatedYear || calendarParts.year );
+	}
+	return( dateParts );
+}
+// The date parts that can be rounded to a 'step', from finest to coarsest.
+const steppableDatePartNames = ['fractionalSecond', 'second', 'minute', 'hour', 'day', 'month', 'year'];
+/**
+ * @summary Rounds a wall-clock time (read as a UTC time) to a multiple of a 
+ *	'dateSensitivity' entry's 'step'.
+ * @description Steps count from the first value of the part (like minute 0, 
+ *	day 1, or January), and every finer part is zeroed.  The finer parts are the 
+ *	fraction that is rounded, so a value rounded up past the last value of its 
+ *	part carries into the coarser parts (like 10:53 rounding to 11:00).
+ * @returns {number} The rounded wall-clock time.
+ * @param {number} time - The wall-clock time value.
+ * @param {DateSensitivityEntry} dateSensitivity - An entry with a `step` and a `rounding`.
+ */
+function roundWallClockTime( time, dateSensitivity )
+{
+	const toStep = ( value ) => Math[ dateSensitivity.rounding ]( value / dateSensitivity.step ) * dateSensitivity.step;
+	const date = new Date( time );
+	const year = date.getUTCFullYear();
+	const month = date.getUTCMonth();
+	const day = date.getUTCDate();
+	const millisecondOfDay = ((date.getUTCHours() * 60 + date.getUTCMinutes()) * 60 + date.getUTCSeconds()) * 1000 + date.getUTCMilliseconds();
+	switch( dateSensitivity.part )
+	{
+		case 'fractionalSecond':
+			date.setUTCMilliseconds( toStep( date.getUTCMilliseconds()));
+			break;
+		case 'second':
+			date.setUTCSeconds( toStep( date.getUTCSeconds() + date.getUTCMilliseconds() / 1000 ), 0 );
+			break;
+		case 'minute':
+			date.setUTCMinutes( toStep( millisecondOfDay % 3600000 / 60000 ), 0, 0 );
+			break;
+		case 'hour':
+			date.setUTCHours( toStep( millisecondOfDay / 3600000 ), 0, 0, 0 );
+			break;
+		case 'day':
+			date.setUTCHours( 0, 0, 0, 0 );
+			date.setUTCDate( 1 + toStep( day - 1 + millisecondOfDay / millisecondsPerDay ));
+			break;
+		case 'month':
+		{
+			const daysInMonth = (getUTCDayTime( year, month + 1, 1 ) - getUTCDayTime( year, month, 1 )) / millisecondsPerDay;
+			date.setUTCHours( 0, 0, 0, 0 );
+			date.setUTCMonth( toStep( month + (day - 1 + millisecondOfDay / millisecondsPerDay) / daysInMonth ), 1 );
+			break;
+		}
+		case 'year':
+		{
+			const daysInYear = (getUTCDayTime( year + 1, 0, 1 ) - getUTCDayTime( year, 0, 1 )) / millisecondsPerDay;
+			const daysIntoYear = (time - getUTCDayTime( year, 0, 1 )) / millisecondsPerDay;
+			date.setUTCHours( 0, 0, 0, 0 );
+			date.setUTCFullYear( toStep( year + daysIntoYear / daysInYear ), 0, 1 );
+			break;
+		}
+		default:
+			// istanbul ignore next
+			throw( new Error( `Unhandled 'dateSensitivity' value '${dateSensitivity.part}'.` ));
+	}
+	return( date.getTime());
+}
+/**
+ * @summary Reads the wall-clock time in which the parts of a valid (coerced) 
+ *	value are read, i.e., that of the 'timeZone', 'dateUsage', or (for a plain 
+ *	value) UTC.
+ * @returns {number} The wall-clock time, as a UTC time value.
+ * @param {Date|PlainDateValue} value - A valid (coerced) value.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function getWallClockTime( value, hidden )
+{
+	let wallClockTime;
+	if( value instanceof PlainDateValue )
+	{wallClockTime = value.date.getTime();}
+	else if( hidden.timeZone === undefined && hidden.options.dateUsage === 'utc' )
+	{wallClockTime = value.getTime();}
+	else
+	{
+		const wallClockDate = new Date( 0 );
+		if( hidden.timeZone === undefined )
+		{
+			wallClockDate.setUTCFullYear( value.getFullYear(), value.getMonth(), value.getDate());
+			wallClockDate.setUTCHours( value.getHours(), value.getMinutes(), value.getSeconds(), value.getMilliseconds());
+		}
+		else
+		{
+			const formattedParts = getFormattedPartValues( value, hidden.formats.dateTimeFormat );
+			wallClockDate.setUTCFullYear(
+				formattedParts.era === 'BC'?1 - Number( formattedParts.year ):Number( formattedParts.year ),
+				Number( formattedParts.month ) - 1, Number( formattedParts.day )
+			);
+			wallClockDate.setUTCHours( getFormattedHour( formattedParts ), Number( formattedParts.minute ), Number( formattedParts.second ), value.getUTCMilliseconds());
+		}
+		wallClockTime = wallClockDate.getTime();
+	}
+	return( wallClockTime );
+}
+/**
+ * @summary Finds the `Date` at a wall-clock time (see `getWallClockTime`).
+ * @description Like `new Date( ... )` does, a wall-clock time repeated by a 
+ *	daylight saving time change resolves to the earlier `Date`, and one 
+ *	skipped by a change resolves to the `Date` as far after the change.
+ * @returns {Date} The `Date`.
+ * @param {number} wallClockTime - The wall-clock time, as a UTC time value.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function getDateAtWallClockTime( wallClockTime, hidden )
+{
+	const wallClockDate = new Date( wallClockTime );
+	let date;
+	if( hidden.timeZone === undefined && hidden.options.dateUsage === 'utc' )
+	{date = wallClockDate;}
+	else if( hidden.timeZone === undefined )
+	{
+		date = new Date( 0 );
+		date.setFullYear( wallClockDate.getUTCFullYear(), wallClockDate.getUTCMonth(), wallClockDate.getUTCDate());
+		date.setHours( wallClockDate.getUTCHours(), wallClockDate.getUTCMinutes(), wallClockDate.getUTCSeconds(), wallClockDate.getUTCMilliseconds());
+	}
+	else
+	{
+		// Try the offsets a day before and after, which differ around a daylight saving time change.
+		const getOffset = ( time ) => getWallClockTime( new Date( time ), hidden ) - time;
+		const earlierOffsetTime = wallClockTime - getOffset( wallClockTime - millisecondsPerDay );
+		const laterOffsetTime = wallClockTime - getOffset( wallClockTime + millisecondsPerDay );
+		const isEarlierOffsetTime = getWallClockTime( new Date( earlierOffsetTime ), hidden ) === wallClockTime;
+		const isLaterOffsetTime = getWallClockTime( new Date( laterOffsetTime ), hidden ) === wallClockTime;
+		date = new Date( isEarlierOffsetTime && isLaterOffsetTime?Math.min( earlierOffsetTime, laterOffsetTime )
+			:isLaterOffsetTime?laterOffsetTime
+			// Skipped times keep the offset from before the change.
+			:earlierOffsetTime );
+	}
+	return( date );
+}
+/**
+ * @summary Determines whether a `Date` is the repetition of a local time, 
+ *	i.e., after a daylight saving time change has set the clocks back (like 
+ *	1:30 a.m. CST after 1:30 a.m. CDT).
+ * @returns {boolean} Whether an earlier `Date` has the same wall-clock time.
+ * @param {Date} date - A valid `Date`.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function isRepeatedTime( date, hidden )
+{return( getDateAtWallClockTime( getWallClockTime( date, hidden ), hidden ).getTime() !== date.getTime());}
+/**
+ * @summary Rounds a valid (coerced) value by each of the collator's 
+ *	'dateSensitivity' entries with a 'step', from the finest to the coarsest.
+ * @description The value is rounded in the wall-clock time its parts are read 
+ *	in (see `getWallClockTime`).
+ * @returns {Date|PlainDateValue} The rounded value, or `value` itself if no 
+ *	entry has a 'step'.
+ * @param {Date|PlainDateValue} value - A valid (coerced) value.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function roundDateValue( value, hidden )
+{
+	if( hidden.roundings.length == 0 )
+	{return( value );}
+	const roundedWallClockTime = hidden.roundings
+	.reduce(( time, eachRounding, _r, _everyRounding ) => roundWallClockTime( time, eachRounding ), getWallClockTime( value, hidden ));
+	return( value instanceof PlainDateValue?new PlainDateValue( new Date( roundedWallClockTime ), value.datePartNames )
+		:getDateAtWallClockTime( roundedWallClockTime, hidden ));
+}
+/**
+ * @summary Converts a 'tolerance' option to milliseconds.
+ * @returns {number} The duration in milliseconds (which may be `NaN`).
+ * @param {number|object} duration - Milliseconds, or an object with any of 
+ *	`weeks`, `days`, `hours`, `minutes`, `seconds`, and `milliseconds` 
+ *	properties (like a `Temporal.Duration` without years or months).
+ */
+function getDurationMilliseconds( duration )
+{
+	const millisecondsPerUnit = {weeks:604800000, days:86400000, hours:3600000, minutes:60000, seconds:1000, milliseconds:1};
+	let milliseconds;
+	if( typeof( duration ) === 'number' || duration instanceof Number )
+	{milliseconds = Number( duration );}
+	// Years and months have no fixed duration.
+	else if( Number( duration.years || 0 ) != 0 || Number( duration.months || 0 ) != 0 )
+	{milliseconds = NaN;}
+	else
+	{
+		milliseconds = Object.keys( millisecondsPerUnit )
+		.reduce(( total, eachUnit, _u, _everyUnit ) =>
+			total + Number( duration[ eachUnit ] || 0 ) * millisecondsPerUnit[ eachUnit ]
+		, 0 );
+	}
+	return( milliseconds );
+}
+/**
+ * @returns {boolean} Whether a (coerced) value is a valid `Date` or a `PlainDateValue`.
+ * @param {Date|PlainDateValue|*} value - A (coerced) value to compare.
+ */
+function isValidDateValue( value )
+{return(( value instanceof Date && !Number.isNaN( value.getTime())) || value instanceof PlainDateValue );}
+/**
+ * @summary Creates the functions that read date parts for `getDateParts`.
+ * @returns {object} An object with the `datePartNames`, the `extractors` 
+ *	(for the 'dateUsage') and `plainExtractors` (for plain values) of each, and 
+ *	the `repeatedTimeIndex` of the part that orders repeated local times (or -1).
+ * @param {DatePartEnum[]} datePartNames - The date parts to read.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function createDatePartReaders( datePartNames, hidden )
+{
+	return(
+	{
+		datePartNames,
+		extractors:datePartNames.map(( eachDatePartName, _n, _everyDatePartName ) =>
+			createDatePartExtractor( eachDatePartName, hidden.options.dateUsage, hidden.options, hidden.flexibleDayPeriods )
+		),
+		plainExtractors:datePartNames.map(( eachDatePartName, _n, _everyDatePartName ) =>
+			createDatePartExtractor( eachDatePartName, 'utc', hidden.options, hidden.flexibleDayPeriods )
+		),
+		repeatedTimeIndex:-1,
+	});
+}
+/**
+ * @summary Reads the value of each of the collator's date parts, in 
+ *	'dateSensitivity' order (or of other date parts).
+ * @returns {Array<number|undefined>} Each date part, or `undefined` for a part 
+ *	that a plain value does not have.
+ * @param {Date|PlainDateValue} value - A valid (coerced) value.
+ * @param {object} hidden - The collator's hidden state.
+ * @param {object} [readers=hidden.readers] - The date parts to read (see `createDatePartReaders`).
+ */
+function getDateParts( value, hidden, readers = hidden.readers )
+{
+	// Plain values have no time zone, so their wall-clock values are read as UTC values.
+	const isPlain = value instanceof PlainDateValue;
+	const date = isPlain?roundDateValue( value, hidden ).date
+		:roundDateValue( value, hidden );
+	const formats = isPlain?hidden.plainFormats:hidden.formats;
+	const extractors = isPlain?readers.plainExtractors:readers.extractors;
+	// Read every part in the time zone and calendar at once rather than formatting each `Date` once per part.
+	const formattedParts = formats && getFormattedDateParts( date, formats, hidden.options );
+	if( formattedParts )
+	{
+		if( hidden.flexibleDayPeriods )
+		{formattedParts.dayPeriod = hidden.flexibleDayPeriods[ formattedParts.hour * 60 + formattedParts.minute ];}
+		formattedParts.hour = getClockHour( formattedParts.hour, hidden.options.hourCycle );
+	}
+	const dateParts = readers.datePartNames
+	.map(( eachDatePartName, n, _everyDatePartName ) =>
+		isPlain && !value.datePartNames.includes( eachDatePartName )?undefined
+		:formattedParts?formattedParts[ eachDatePartName ]
+		:extractors[ n ]( date )
+	);
+	// Order each repeated time after the times with the same part (like 1:30 a.m. CST after 1:59 a.m. CDT), but before the next part.
+	if( readers.repeatedTimeIndex >= 0 && !isPlain && isRepeatedTime( date, hidden ))
+	{dateParts[ readers.repeatedTimeIndex ] += 0.5;}
+	return( dateParts );
+}
+/**
+ * @summary Coerces a value and reads everything `compare` needs of it, so that 
+ *	sorting reads each value once rather than once per comparison.
+ * @returns {object} An object with the original `date`, its invalid `rank` 
+ *	(see `getInvalidRank`), and its date `parts` and `time` value (only if it is 
+ *	a valid date).
+ * @param {Date|number|string|object|*} date - A value to compare (after its 'key' has been applied).
+ * @param {object} hidden - The collator's hidden state.
+ * @throws {RangeError} When `date` is not a valid date and its option is 'throw'.
+ */
+function decorateDate( date, hidden )
+{
+	const value = hidden.options.coerce?coerceDate( date ):date;
+	const isValid = isValidDateValue( value );
+	return(
+	{
+		date,
+		rank:isValid?0:getInvalidRank( value, hidden.options ),
+		parts:isValid?getDateParts( value, hidden ):undefined,
+		time:!isValid?NaN
+			:value instanceof PlainDateValue?value.date.getTime()
+			:value.getTime(),
+	});
+}
+// The wall-clock unit by which `nextMatches` skips ahead when each date part 
+// does not match (in a Gregorian calendar), from the coarsest part to the finest.
+const datePartSkipUnits =
+{
+	era:'year', year:'year', isoWeekYear:'day', fiscalYear:'month', quarter:'month', month:'month',
+	isoWeek:'day', dayOfYear:'day', weekOfMonth:'day', weekday:'day', day:'day',
+	dayPeriod:'hour', hour:'hour', minute:'minute', second:'second', fractionalSecond:'fractionalSecond',
+};
+/**
+ * @summary Validates a pattern for `matches` and `nextMatches` and creates 
+ *	what matching it needs.
+ * @returns {object} An object with the pattern's `entries` (each with a 
+ *	`part` and a `test` of its value), from the coarsest part to the finest, and 
+ *	the `readers` of their parts (see `createDatePartReaders`).
+ * @param {object} pattern - Values, lists, or ranges by `DatePartEnum`.
+ * @param {object} hidden - The collator's hidden state.
+ * @throws {TypeError} When the pattern or one of its values is not of a valid type.
+ * @throws {RangeError} When the pattern has a property that is not a date part.
+ */
+function createPatternMatcher( pattern, hidden )
+{
+	if( pattern === null || typeof( pattern ) !== 'object' )
+	{throw( new TypeError( `DateCollator pattern must be an object.` ));}
+	const isNumber = ( value ) => typeof( value ) === 'number' || value instanceof Number;
+	const entries = Object.keys( datePartSkipUnits )
+	.filter(( eachDatePartName, _n, _everyDatePartName ) => pattern[ eachDatePartName ] !== undefined )
+	.map(( eachDatePartName, _n, _everyDatePartName ) =>
+	{
+		const tests = [].concat( pattern[ eachDatePartName ])
+		.map(( eachPatternValue, _v, _everyPatternValue ) =>
+		{
+			let test;
+			if( isNumber( eachPatternValue ))
+			{test = ( part ) => part === Number( eachPatternValue );}
+			else if( eachPatternValue !== null && typeof( eachPatternValue ) === 'object'
+				&& (isNumber( eachPatternValue.from ) || isNumber( eachPatternValue.to ))
+				&& [eachPatternValue.from, eachPatternValue.to].every(( eachEnd, _e, _everyEnd ) => eachEnd === undefined || isNumber( eachEnd ))
+			)
+			{
+				test = ( part ) => (eachPatternValue.from === undefined || part >= eachPatternValue.from)
+					&& (eachPatternValue.to === undefined || part <= eachPatternValue.to);
+			}
+			else
+			{throw( new TypeError( `DateCollator pattern property '${eachDatePartName}' must be a number, a range with 'from' and/or 'to' numbers, or an array of them.` ));}
+			return( test );
+		});
+		return(
+		{
+			part:eachDatePartName,
+			test:( part ) => part !== undefined && tests.some(( eachTest, _t, _everyTest ) => eachTest( part )),
+		});
+	});
+	const unknownDatePartName = Object.keys( pattern )
+		.filter(( eachName, _n, _everyName ) => !(eachName in datePartSkipUnits))[ 0 ];
+	if( unknownDatePartName !== undefined )
+	{throw( new RangeError( `Value '${unknownDatePartName}' out of range for DateCollator pattern property.` ));}
+	return(
+	{
+		entries,
+		readers:createDatePartReaders( entries.map(( eachEntry, _e, _everyEntry ) => eachEntry.part ), hidden ),
+	});
+}
+/**
+ * @summary Finds the coarsest date part of a value that does not match a pattern.
+ * @description Parts are read like `compare` reads them, except that 
+ *	'weekday' is read like `Date.prototype.getDay()` (rather than counted from 
+ *	the 'firstDayOfWeek').  A part that a plain value does not have does not 
+ *	match.
+ * @returns {DatePartEnum|undefined} The date part, or `undefined` if every part matches.
+ * @param {Date|PlainDateValue} value - A valid (coerced) value.
+ * @param {object} matcher - The pattern's matcher (see `createPatternMatcher`).
+ * @param {object} hidden - The collator's hidden state.
+ */
+function findMismatchedDatePart( value, matcher, hidden )
+{
+	const parts = getDateParts( value, hidden, matcher.readers );
+	const mismatchedEntry = matcher.entries
+	.filter(( eachEntry, e, _everyEntry ) =>
+	{
+		// Transform the 'firstDayOfWeek' back to its `Date.prototype.getDay()` number.
+		const part = eachEntry.part === 'weekday' && parts[ e ] !== undefined?(parts[ e ] + hidden.options.firstDayOfWeek) % 7
+			:parts[ e ];
+		return( !eachEntry.test( part ));
+	})[ 0 ];
+	return( mismatchedEntry && mismatchedEntry.part );
+}
+/**
+ * @returns {Array} The start and end of an interval, which is either an array 
+ *	of them, an object with `start` and `end` properties, or a single date 
+ *	(which both starts and ends it).
+ * @param {Array|object|*} interval - An interval (after its 'key' has been applied).
+ */
+function getIntervalEnds( interval )
+{
+	return( Array.isArray( interval )?[interval[ 0 ], interval[ 1 ]]
+		:interval !== null && typeof( interval ) === 'object' && ('start' in interval || 'end' in interval)?[interval.start, interval.end]
+		:[interval, interval] );
+}
+/**
+ * @summary Decorates the start and end of an interval (see `decorateDate`).
+ * @returns {object[]} The decorated start and end.
+ * @param {Array|object|*} interval - An interval (see `getIntervalEnds`).
+ * @param {object} hidden - The collator's hidden state.
+ * @throws {RangeError} When both ends are valid dates and the start compares after the end.
+ */
+function decorateInterval( interval, hidden )
+{
+	const ends = getIntervalEnds( hidden.key( interval ))
+	.map(( eachEnd, _e, _everyEnd ) => decorateDate( eachEnd, hidden ));
+	// Ends that are not valid dates are placed by the 'invalid' and 'nullish' options (like an open end) instead.
+	if( ends[ 0 ].parts && ends[ 1 ].parts && compareDecorated( ends[ 0 ], ends[ 1 ], hidden ) > 0 )
+	{throw( new RangeError( `DateCollator interval start '${ends[ 0 ].date}' must not be after its end '${ends[ 1 ].date}'.` ));}
+	return( ends );
+}
+/**
+ * @summary Compares two decorated values (see `decorateDate`).
+ * @returns {number} -1, 0, or +1.
+ * @param {object} left - The decorated left value.
+ * @param {object} right - The decorated right value.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function compareDecorated( left, right, hidden )
+{
+	let difference = 0;
+	if( left.rank != right.rank )
+	{difference = left.rank - right.rank;}
+	// Values placed 'first' or 'last' are equal to each other.
+	else if( left.rank != 0 )
+	{difference = 0;}
+	// Dates within the 'tolerance' of each other are equal regardless of their parts.
+	else if( left.parts && right.parts && hidden.tolerance > 0 && Math.abs( left.time - right.time ) <= hidden.tolerance )
+	{difference = 0;}
+	else if( left.parts && right.parts )
+	{
+		// Stop at the first differing part.
+		for( let p = 0; difference == 0 && p < hidden.dateParts.length; ++p )
+		{
+			const leftPart = left.parts[ p ];
+			const rightPart = right.parts[ p ];
+			// Skip a part that either side does not have (like the 'hour' of a plain date).
+			if( leftPart !== undefined && rightPart !== undefined )
+			{
+				// Transform a descending part by comparing the right part to the left one.
+				difference = hidden.dateParts[ p ].direction === 'descending'?rightPart - leftPart
+					:leftPart - rightPart;
+			}
+		}
+	}
+	// The 'legacy' comparison of any value that is not a valid date.
+	else
+	{
+		const leftString = String( left.date );
+		const rightString = String( right.date );
+		difference = leftString < rightString?-1
+			:leftString > rightString?+1
+			:0;
+	}
+	// Reduce the result (whose parts may be fractional, like a repeated hour) to -1, 0, or +1.
+	return( Math.sign( difference ));
+}
+/**
+ * @summary Compares two valid `Date`s like `compareDecorated` does, but by 
+ *	reading each date part only until one differs, without decorating them.
+ * @description Only for a collator whose `canCompareDatesDirectly`, i.e., 
+ *	whose parts are read by `Date.prototype` getters without rounding.
+ * @returns {number} -1, 0, or +1.
+ * @param {Date} leftDate - A valid `Date`.
+ * @param {Date} rightDate - A valid `Date`.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function compareDates( leftDate, rightDate, hidden )
+{
+	const leftTime = leftDate.getTime();
+	const rightTime = rightDate.getTime();
+	let difference = 0;
+	// Equal instants (and those within the 'tolerance') have equal parts.
+	if( Math.abs( leftTime - rightTime ) > hidden.tolerance )
+	{
+		const extractors = hidden.readers.extractors;
+		for( let p = 0; difference == 0 && p < extractors.length; ++p )
+		{
+			const leftPart = extractors[ p ]( leftDate );
+			const rightPart = extractors[ p ]( rightDate );
+			difference = hidden.dateParts[ p ].direction === 'descending'?rightPart - leftPart
+				:leftPart - rightPart;
+		}
+	}
+	return( Math.sign( difference ));
+}
+/**
+ * @summary Encodes a date part so that encodings sort (as strings) in the same 
+ *	order as their numbers.
+ * @description Every encoding has the same length: a sign ('n' for negative or 
+ *	'p' otherwise) followed by the magnitude with 17 integer and 3 fraction 
+ *	digits, which is enough for any era start, and whose digits are complemented 
+ *	for negative numbers.  A missing part is encoded as '-', which sorts first.
+ * @returns {string} The encoded date part.
+ * @param {number|undefined} part - The date part.
+ */
+function encodeDatePart( part )
+{
+	let encodedPart;
+	if( part === undefined )
+	{encodedPart = '-'.padEnd( 22, '-' );}
+	else
+	{
+		const magnitude = Math.abs( part ).toFixed( 3 ).padStart( 21, '0' );
+		encodedPart = part < 0?'n' + magnitude.replace( /\d/g, ( digit ) => String( 9 - Number( digit )))
+			:'p' + magnitude;
+	}
+	return( encodedPart );
+}
+// The `Intl.DateTimeFormat` options and part types that label each date part, 
+// including any options that a part cannot be formatted without.
+const datePartLabelFormats =
+{
+	era:{options:{era:'short'}, partTypes:['era']},
+	// Note: Cyclic calendars like 'chinese' format the year as a 'relatedYear' (and a 'yearName').
+	year:{options:{year:'numeric'}, partTypes:['year', 'relatedYear']},
+	month:{options:{month:'long'}, partTypes:['month']},
+	weekday:{options:{weekday:'long'}, partTypes:['weekday']},
+	day:{options:{day:'numeric'}, partTypes:['day']},
+	dayPeriod:{options:{hour:'numeric', hourCycle:'h12'}, partTypes:['dayPeriod']},
+	flexibleDayPeriod:{options:{dayPeriod:'long'}, partTypes:['dayPeriod']},
+	hour:{options:{hour:'numeric'}, partTypes:['hour']},
+	minute:{options:{hour:'numeric', minute:'2-digit'}, partTypes:['minute']},
+	second:{options:{hour:'numeric', minute:'2-digit', second:'2-digit'}, partTypes:['second']},
+	fractionalSecond:{options:{hour:'numeric', minute:'2-digit', second:'2-digit', fractionalSecondDigits:3}, partTypes:['fractionalSecond']},
+};
+// The labels of the derived date parts, which `Intl.DateTimeFormat` cannot format.
+const derivedDatePartLabels =
+{
+	quarter:( part ) => `Q${part}`,
+	isoWeek:( part ) => `W${String( part ).padStart( 2, '0' )}`,
+	isoWeekYear:( part ) => String( part ),
+	dayOfYear:( part ) => `D${String( part ).padStart( 3, '0' )}`,
+	weekOfMonth:( part ) => `MW${part}`,
+	fiscalYear:( part ) => `FY${part}`,
+};
+/**
+ * @summary Compares an entry of a sorted array to a decorated date.
+ * @description The 'key' option gets the date of the entry, but not of the 
+ *	date searched for, which is a date itself.
+ * @returns {number} -1, 0, or +1.
+ * @param {*} entry - An entry of an array sorted by `compare`.
+ * @param {object} decoratedDate - The decorated date (see `decorateDate`).
+ * @param {object} hidden - The collator's hidden state.
+ */
+function compareEntry( entry, decoratedDate, hidden )
+{return( compareDecorated( decorateDate( hidden.key( entry ), hidden ), decoratedDate, hidden ));}
+/**
+ * @summary Binary searches a sorted array for the boundary of the run of 
+ *	entries that are equal to a date.
+ * @returns {number} The index of the first entry that is not before the date 
+ *	(the lower bound) or that is after the date (the upper bound).
+ * @param {Array} sorted - An array sorted by `compare`.
+ * @param {object} decoratedDate - The decorated date to search for (see `decorateDate`).
+ * @param {object} hidden - The collator's hidden state.
+ * @param {boolean} isUpperBound - Whether to find the upper bound instead of the lower bound.
+ */
+function bisect( sorted, decoratedDate, hidden, isUpperBound )
+{
+	let low = 0;
+	let high = sorted.length;
+	while( low < high )
+	{
+		const middle = Math.floor(( low + high ) / 2 );
+		const difference = compareEntry( sorted[ middle ], decoratedDate, hidden );
+		if( difference < 0 || (isUpperBound && difference == 0))
+		{low = middle + 1;}
+		else
+		{high = middle;}
+	}
+	return( low );
+}
+/**
+ * @summary Gets the comparing function of a comparator.
+ * @returns {function} The comparator itself or its `compare` function.
+ * @param {function|object} comparator - A comparing function or an object with one as its `compare` property (like an `Intl.Collator` or a `DateCollator`).
+ * @param {number} index - The comparator's position among those provided.
+ * @throws {TypeError} When the comparator is neither.
+ */
+function getComparingFunction( comparator, index )
+{
+	const compare = typeof( comparator ) === 'function'?comparator
+		:(comparator !== null && typeof( comparator ) === 'object')?comparator.compare
+		:undefined;
+	if( typeof( compare ) !== 'function' )
+	{throw( new TypeError( `DateCollator comparator at index ${index} must be a function or an object with a 'compare' function.` ));}
+	return( compare );
+}
+/**
+ * @summary Creates a comparing function that tries each comparing function 
+ *	in turn until one does not tie.
+ * @description The created function has a `thenBy` method that chains more 
+ *	comparators after it and a `reversed` method that reverses its order (but 
+ *	not that of comparators chained after the reversal).
+ * @returns {function} The chained comparing function.
+ * @param {function[]} compares - The comparing functions, in order of precedence.
+ */
+function createChainedCompare( compares )
+{
+	const chainedCompare = ( left, right ) =>
+	{
+		let comparison = 0;
+		for( let i = 0; comparison == 0 && i < compares.length; ++i )
+		{comparison = compares[ i ]( left, right );}
+		return( comparison );
+	};
+	chainedCompare.thenBy = ( ...comparators ) =>
+		createChainedCompare( compares.concat( comparators.map(( eachComparator, i, _everyComparator ) =>
+			getComparingFunction( eachComparator, i ))));
+	chainedCompare.reversed = () =>
+		createChainedCompare( [( left, right ) => chainedCompare( right, left )]);
+	return( chainedCompare );
+}
+/**
+ * @returns {boolean} Whether `iterable` is an async iterable (rather than only a sync one).
+ * @param {*} iterable 
+ */
+function isAsyncIterable( iterable )
+{return( iterable !== null && iterable !== undefined && typeof( iterable[ Symbol.asyncIterator ]) === 'function' );}
+/**
+ * @returns {boolean} Whether `iterable` is a sync iterable.
+ * @param {*} iterable 
+ */
+function isSyncIterable( iterable )
+{return( iterable !== null && iterable !== undefined && typeof( iterable[ Symbol.iterator ]) === 'function' );}
+/**
+ * @summary Decorates the result of an iterator's `next()` with its date.
+ * @returns {object|undefined} The `item` and its `decoratedDate`, or `undefined` when the iterator is done.
+ * @param {object} result - An iterator result.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function decorateIteratorResult( result, hidden )
+{
+	return( result.done?undefined
+		:{item:result.value, decoratedDate:decorateDate( hidden.key( result.value ), hidden )});
+}
+/**
+ * @summary Finds the head (the next item of each iterable) that comes first.
+ * @description Among equal heads, that of the earliest iterable comes first, 
+ *	so that merging is stable.
+ * @returns {number} The index of the first head, or -1 when every iterable is done.
+ * @param {Array<object|undefined>} heads - The decorated heads.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function findFirstHeadIndex( heads, hidden )
+{
+	let firstHeadIndex = -1;
+	heads.forEach(( eachHead, h, _everyHead ) =>
+	{
+		if( eachHead !== undefined
+			&& (firstHeadIndex < 0 || compareDecorated( eachHead.decoratedDate, heads[ firstHeadIndex ].decoratedDate, hidden ) < 0)
+		)
+		{firstHeadIndex = h;}
+	});
+	return( firstHeadIndex );
+}
+/**
+ * @summary Lazily merges sorted iterables.
+ * @description Iterators still open when iteration stops early (like by 
+ *	`break`) are closed.
+ * @returns {Generator} The items of every iterable, in order.
+ * @param {Iterable[]} iterables - Iterables sorted by the collator's `compare`.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function* mergeIterables( iterables, hidden )
+{
+	const iterators = iterables.map(( eachIterable, _i, _everyIterable ) => eachIterable[ Symbol.iterator ]());
+	const heads = [];
+	try
+	{
+		iterators.forEach(( eachIterator, _i, _everyIterator ) =>
+		{heads.push( decorateIteratorResult( eachIterator.next(), hidden ));});
+		for( let h = findFirstHeadIndex( heads, hidden ); h >= 0; h = findFirstHeadIndex( heads, hidden ))
+		{
+			yield( heads[ h ].item );
+			heads[ h ] = decorateIteratorResult( iterators[ h ].next(), hidden );
+		}
+	}
+	finally
+	{
+		iterators.forEach(( eachIterator, i, _everyIterator ) =>
+		{
+			if( heads[ i ] !== undefined && typeof( eachIterator.return ) === 'function' )
+			{eachIterator.return();}
+		});
+	}
+}
+/**
+ * @summary Lazily drops the items of a sorted iterable that are equal to the 
+ *	item kept before them.
+ * @returns {Generator} The first item of each run of equal items.
+ * @param {Iterable} iterable - An iterable sorted by the collator's `compare`.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function* uniqueIterable( iterable, hidden )
+{
+	let keptDecoratedDate;
+	for( const eachItem of iterable )
+	{
+		const decoratedDate = decorateDate( hidden.key( eachItem ), hidden );
+		if( keptDecoratedDate === undefined || compareDecorated( keptDecoratedDate, decoratedDate, hidden ) != 0 )
+		{
+			keptDecoratedDate = decoratedDate;
+			yield( eachItem );
+		}
+	}
+}
+/**
+ * @summary Creates an async iterator from how to read its next result and how 
+ *	to close what it reads.
+ * @description Calls to `next` and `return` are settled in order, one at a 
+ *	time.  Once a read is done, fails, or is returned, the iterator is done, 
+ *	and (unless a read was done) what it reads is closed.
+ * @returns {AsyncIterator} An async iterator that is also async iterable.
+ * @param {function():Promise<object>} readNext - Reads the next iterator result.
+ * @param {function():Promise} close - Closes what is read.
+ */
+function createAsyncIterator( readNext, close )
+{
+	let isDone = false;
+	let pending = Promise.resolve();
+	const enqueue = ( step ) =>
+	{
+		const settled = pending.then( step );
+		pending = settled.then(() => undefined, () => undefined );
+		return( settled );
+	};
+	const finish = ( value ) =>
+	{
+		const wasDone = isDone;
+		isDone = true;
+		return(( wasDone?Promise.resolve():close()).then(() => ({value, done:true})));
+	};
+	return(
+	{
+		[Symbol.asyncIterator]()
+		{return( this );},
+		next:() => enqueue(() => isDone?{value:undefined, done:true}
+			:readNext().then(( result ) =>
+			{
+				isDone = result.done;
+				return( result );
+			}, ( error ) => finish().then(() => {throw( error );}))
+		),
+		return:( value ) => enqueue(() => finish( value )),
+	});
+}
+/**
+ * @summary Lazily merges sorted iterables, any of which may be async.
+ * @description Like `mergeIterables`, but awaits each item, and reads the first 
+ *	item of every iterable concurrently.
+ * @returns {AsyncIterator} The items of every iterable, in order.
+ * @param {Array<Iterable|AsyncIterable>} iterables - Iterables sorted by the collator's `compare`.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function mergeAsyncIterables( iterables, hidden )
+{
+	const iterators = iterables.map(( eachIterable, _i, _everyIterable ) =>
+		isAsyncIterable( eachIterable )?eachIterable[ Symbol.asyncIterator ]()
+		:eachIterable[ Symbol.iterator ]()
+	);
+	let heads;
+	// The iterable whose head was read last, which is advanced before the next read.
+	let headIndex = -1;
+	const readHeads = () =>
+	{
+		const advanced = heads === undefined?Promise.all( iterators.map(( eachIterator, _i, _everyIterator ) => eachIterator.next()))
+			.then(( results ) =>
+			{
+				heads = results.map(( eachResult, _r, _everyResult ) => decorateIteratorResult( eachResult, hidden ));
+			})
+			:Promise.resolve( iterators[ headIndex ].next()).then(( result ) =>
+			{heads[ headIndex ] = decorateIteratorResult( result, hidden );});
+		return( advanced.then(() =>
+		{
+			headIndex = findFirstHeadIndex( heads, hidden );
+			return( headIndex < 0?{value:undefined, done:true}
+				:{value:heads[ headIndex ].item, done:false});
+		}));
+	};
+	const closeIterators = () => Promise.all( iterators.map(( eachIterator, i, _everyIterator ) =>
+		(heads === undefined || heads[ i ] !== undefined) && typeof( eachIterator.return ) === 'function'?eachIterator.return()
+		:undefined
+	));
+	return( createAsyncIterator( readHeads, closeIterators ));
+}
+/**
+ * @summary Like `uniqueIterable`, but for an async iterable.
+ * @returns {AsyncIterator} The first item of each run of equal items.
+ * @param {AsyncIterable} iterable - An async iterable sorted by the collator's `compare`.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function uniqueAsyncIterable( iterable, hidden )
+{
+	const iterator = iterable[ Symbol.asyncIterator ]();
+	let keptDecoratedDate;
+	const readNextUnique = () => Promise.resolve( iterator.next()).then(( result ) =>
+	{
+		if( result.done )
+		{return( result );}
+		const decoratedDate = decorateDate( hidden.key( result.value ), hidden );
+		if( keptDecoratedDate !== undefined && compareDecorated( keptDecoratedDate, decoratedDate, hidden ) == 0 )
+		{return( readNextUnique());}
+		keptDecoratedDate = decoratedDate;
+		return( {value:result.value, done:false});
+	});
+	const closeIterator = () => Promise.resolve( typeof( iterator.return ) === 'function'?iterator.return()
+		:undefined );
+	return( createAsyncIterator( readNextUnique, closeIterator ));
+}
+/**
+ * @summary Labels a (coerced) value by the collator's date parts.
+ * @description The date parts that `Intl.DateTimeFormat` can format are 
+ *	formatted in the collator's locale, calendar, and time zone (keeping only 
+ *	those parts and the literals that follow them), and are followed by the 
+ *	labels of any derived date parts.  A value that is not a valid date is 
+ *	labeled by its string form.
+ * @returns {string} The label.
+ * @param {Date|PlainDateValue|*} value - A (coerced) value.
+ * @param {object} hidden - The collator's hidden state.
+ */
+function getDateLabel( value, hidden )
+{
+	if( !isValidDateValue( value ))
+	{return( String( value ));}
+	// Label the rounded value, like the start of a 15-minute slot.
+	value = roundDateValue( value, hidden );
+	const isPlain = value instanceof PlainDateValue;
+	const datePartNames = hidden.dateParts
+		.map(( eachDatePart, _p, _everyDatePart ) => eachDatePart.part )
+		.filter(( eachDatePartName, _n, _everyDatePartName ) => !isPlain || value.datePartNames.includes( eachDatePartName ));
+	const formattedDatePartNames = datePartNames.filter(( eachDatePartName, _n, _everyDatePartName ) => eachDatePartName in datePartLabelFormats );
+	let label = '';
+	if( formattedDatePartNames.length > 0 )
+	{
+		const partTypes = [];
+		const formatOptions =
+		{
+			calendar:hidden.calendar, numberingSystem:'latn',
+			// Plain values have no time zone, so their wall-clock values are formatted as UTC values.
+			timeZone:isPlain?'UTC'
+				:hidden.timeZone !== undefined?hidden.timeZone
+				:hidden.options.dateUsage === 'utc'?'UTC'
+				:undefined,
+		};
+		formattedDatePartNames.forEach(( eachDatePartName, _n, _everyDatePartName ) =>
+		{
+			const datePartLabelFormat = eachDatePartName === 'dayPeriod' && hidden.flexibleDayPeriods?datePartLabelFormats.flexibleDayPeriod
+				:datePartLabelFormats[ eachDatePartName ];
+			Object.assign( formatOptions, datePartLabelFormat.options );
+			partTypes.push.apply( partTypes, datePartLabelFormat.partTypes );
+		});
+		// Label the hour like it is compared, unless a meridian 'dayPeriod' needs a 12-hour clock.
+		if( formattedDatePartNames.includes( 'hour' )
+			&& (!formattedDatePartNames.includes( 'dayPeriod' ) || ['h11', 'h12'].includes( hidden.options.hourCycle ))
+		)
+		{formatOptions.hourCycle = hidden.options.hourCycle;}
+		// Keep each formatted part and the literal that follows it, unless it is the last one.
+		let wasLastPartKept = false;
+		let pendingLiteral = '';
+		new Intl.DateTimeFormat( hidden.locale, formatOptions ).formatToParts( isPlain?value.date:value )
+		.forEach(( eachPart, _p, _everyPart ) =>
+		{
+			if( eachPart.type === 'literal' )
+			{pendingLiteral += wasLastPartKept?eachPart.value:'';}
+			else if( partTypes.includes( eachPart.type ))
+			{
+				label += (label === ''?'':pendingLiteral) + eachPart.value;
+				pendingLiteral = '';
+				wasLastPartKept = true;
+			}
+			else
+			{wasLastPartKept = false;}
+		});
+	}
+	const dateParts = getDateParts( value, hidden );
+	hidden.dateParts.forEach(( eachDatePart, p, _everyDatePart ) =>
+	{
+		if( eachDatePart.part in derivedDatePartLabels && dateParts[ p ] !== undefined )
+		{label += (label === ''?'':' ') + derivedDatePartLabels[ eachDatePart.part ]( dateParts[ p ]);}
+	});
+	return( label );
+}
+/**
+ * @summary Ranks a (coerced) value for the collator's 'invalid' and 'nullish' 
+ *	options.
+ * @returns {number} -2 or -1 for a value placed 'first' (`null` and `undefined` 
+ *	before invalid dates), +1 or +2 for a value placed 'last' (`null` and 
+ *	`undefined` after invalid dates), or 0 for a valid date or a 'legacy' value.
+ * @param {Date|PlainDateValue|*} value - A (coerced) value to compare.
+ * @param {object} options - The collator's resolved options.
+ * @throws {RangeError} When the value's option is 'throw'.
+ */
+function getInvalidRank( value, options )
+{
+	let rank = 0;
+	if( !isValidDateValue( value ))
+	{
+		const isNullish = value === null || value === undefined;
+		const optionName = isNullish?'nullish':'invalid';
+		switch( options[ optionName ])
+		{
+			case 'first':
+				rank = isNullish?-2:-1;
+				break;
+			case 'last':
+				rank = isNullish?+2:+1;
+				break;
+			case 'throw':
+				throw( new RangeError( `Value '${String( value )}' is not a valid date, per DateCollator options property '${optionName}'.` ));
+			case 'legacy':
+				break;
+			default:
+				// istanbul ignore next
+				throw( new Error( `Unhandled '${optionName}' value '${options[ optionName ]}'.` ));
+		}
+	}
+	return( rank );
+}
+/**
+ * @summary Creates the formats read by `getFormattedDateParts`.
+ * @returns {object} The formats for a time zone and calendar.
+ * @param {string} calendar - The resolved calendar.
+ * @param {string} [timeZone] - The time zone, or `undefined` for the runtime's default time zone.
+ */
+function createFormats( calendar, timeZone )
+{
+	const formats =
+	{
+		dateTimeFormat:new Intl.DateTimeFormat( 'en-US',
+		{
+			calendar:'gregory', numberingSystem:'latn', timeZone, hourCycle:'h23',
+			era:'short', year:'numeric', month:'numeric', day:'numeric', weekday:'short',
+			hour:'numeric', minute:'numeric', second:'numeric',
+		}),
+	};
+	if( !['gregory', 'iso8601'].includes( calendar ))
+	{
+		formats.calendarDateTimeFormat = new Intl.DateTimeFormat( 'en-US',
+		{
+			calendar, numberingSystem:'latn', timeZone,
+			era:'short', year:'numeric', month:'numeric', day:'numeric',
+		});
+		// Note: Some calendars (like 'hebrew') name the month unless it is formatted alone.
+		formats.calendarMonthFormat = new Intl.DateTimeFormat( 'en-US',
+		{
+			calendar, numberingSystem:'latn', timeZone,
+			month:'numeric',
+		});
+		formats.eraStarts = new Map();
+	}
+	return( formats );
+}
+/**
+ * @summary Creates a function that reads one date part of a `Date` using the 
+ *	`Date.prototype` getters.
+ * @description The `dateUsage` and `datePart` are resolved once, when the 
+ *	collator is constructed, rather than on every comparison.
+ * @returns {function(Date):number} Reads the numeric date part of a valid `Date`.
+ * @param {DatePartEnum} datePart - The date part to read.
+ * @param {DateUsageEnum} dateUsage - Whether to use local or UTC getters.
+ * @param {object} options - The collator's resolved options.
+ * @param {number[]} [flexibleDayPeriods] - The locale's flexible day periods (see `getFlexibleDayPeriods`) for a 'flexible' 'dayPeriod' option.
+ */
+function createDatePartExtractor( datePart, dateUsage, options, flexibleDayPeriods )
+{
+	let extractor;
+	switch( dateUsage )
+	{
+		case 'local':
+			switch( datePart )
+			{
+				case 'day':
+					extractor = ( date ) => date.getDate();
+					break;
+				case 'dayPeriod':
+					// Transform a.m. to 0 and p.m. to 1, or each flexible day period to its order in the day.
+					extractor = flexibleDayPeriods?( date ) => flexibleDayPeriods[ date.getHours() * 60 + date.getMinutes() ]
+						:( date ) => Math.floor( date.getHours() / 12 );
+					break;
+				case 'era':
+					// Transform B.C. to -1 and A.D. to +1.
+					extractor = ( date ) => Math.sign( date.getFullYear());
+					break;
+				case 'hour':
+					extractor = ( date ) => getClockHour( date.getHours(), options.hourCycle );
+					break;
+				case 'minute':
+					extractor = ( date ) => date.getMinutes();
+					break;
+				case 'second':
+					extractor = ( date ) => date.getSeconds();
+					break;
+				case 'month':
+					extractor = ( date ) => date.getMonth();
+					break;
+				case 'weekday':
+					// Transform the 'firstDayOfWeek' to 0.
+					extractor = ( date ) => getRelativeWeekday( date.getDay(), options );
+					break;
+				case 'year':
+					extractor = ( date ) => date.getFullYear();
+					break;
+				case 'fractionalSecond':
+					// Note: This is valid for as long as `Date`'s epoch/`getTime()` value is in milliseconds.
+					extractor = ( date ) => date.getMilliseconds();
+					break;
+				case 'dayOfYear':
+				case 'fiscalYear':
+				case 'isoWeek':
+				case 'isoWeekYear':
+				case 'quarter':
+				case 'weekOfMonth':
+					extractor = ( date ) => getDerivedDateParts( date.getFullYear(), date.getMonth(), date.getDate(), options )[ datePart ];
+					break;
+				default:
+					// istanbul ignore next
+					throw( new Error( `Unhandled 'dateSensitivity' value '${datePart}'.` ));
+			}
+			break;
+		case 'utc':
+			switch( datePart )
+			{
+				case 'day':
+					extractor = ( date ) => date.getUTCDate();
+					break;
+				case 'dayPeriod':
+					// Transform a.m. to 0 and p.m. to 1, or each flexible day period to its order in the day.
+					extractor = flexibleDayPeriods?( date ) => flexibleDayPeriods[ date.getUTCHours() * 60 + date.getUTCMinutes() ]
+						:( date ) => Math.floor( date.getUTCHours() / 12 );
+					break;
+				case 'era':
+					// Transform B.C. to -1 and A.D. to +1.
+					extractor = ( date ) => Math.sign( date.getUTCFullYear());
+					break;
+				case 'hour':
+					extractor = ( date ) => getClockHour( date.getUTCHours(), options.hourCycle );
+					break;
+				case 'minute':
+					extractor = ( date ) => date.getUTCMinutes();
+					break;
+				case 'second':
+					extractor = ( date ) => date.getUTCSeconds();
+					break;
+				case 'month':
+					extractor = ( date ) => date.getUTCMonth();
+					break;
+				case 'weekday':
+					// Transform the 'firstDayOfWeek' to 0.
+					extractor = ( date ) => getRelativeWeekday( date.getUTCDay(), options );
+					break;
+				case 'year':
+					extractor = ( date ) => date.getUTCFullYear();
+					break;
+				case 'fractionalSecond':
+					// Note: This is valid for as long as `Date`'s epoch/`getTime()` value is in milliseconds.
+					extractor = ( date ) => date.getUTCMilliseconds();
+					break;
+				case 'dayOfYear':
+				case 'fiscalYear':
+				case 'isoWeek':
+				case 'isoWeekYear':
+				case 'quarter':
+				case 'weekOfMonth':
+					extractor = ( date ) => getDerivedDateParts( date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), options )[ datePart ];
+					break;
+				default:
+					// istanbul ignore next
+					throw( new Error( `Unhandled 'dateSensitivity' value '${datePart}'.` ));
+			}
+			break;
+		default:
+			// istanbul ignore next
+			throw( new Error( `Unhandled 'dateUsage' value '${dateUsage}'.` ));
+	}
+	return( extractor );
+}
+// The date parts of a calendar date, of a wall-clock time, and of a year and month.
+const calendarDatePartNames = ['era', 'year', 'month', 'weekday', 'day', 'quarter', 'isoWeek', 'isoWeekYear', 'dayOfYear', 'weekOfMonth', 'fiscalYear'];
+const wallClockTimePartNames = ['dayPeriod', 'hour', 'minute', 'second', 'fractionalSecond'];
+const yearMonthPartNames = ['era', 'year', 'month', 'quarter', 'fiscalYear'];
+/**
+ * @summary A date and/or time without a time zone, like an ISO 8601 string 
+ *	without an offset or a Temporal "plain" object.
+ * @description Its `date` holds the wall-clock values as UTC values, and only 
+ *	the parts in `datePartNames` are compared.
+ */
+class PlainDateValue
+{
+	/**
+	 * @param {Date} date - A valid `Date` whose UTC values are the wall-clock values.
+	 * @param {DatePartEnum[]} datePartNames - The date parts that the value actually has.
+	 */
+	constructor( date, datePartNames )
+	{
+		this.date = date;
+		this.datePartNames = datePartNames;
+	}
+}
+// An ISO 8601 date and/or time, optionally followed by an offset and bracketed annotations like "[u-ca=hebrew]".
+const isoDateTimePattern = /^(?:([+-]\d{6}|\d{4})-)?(\d{2})(?:-(\d{2}))?(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?)?(Z|[+-]\d{2}(?::?\d{2})?)?(?:\[.*\])*$/i;
+const isoTimePattern = /^T?(\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?(?:\[.*\])*$/i;
+/**
+ * @returns {Date|undefined} A `Date` whose UTC values are the given wall-clock 
+ *	values, or `undefined` if any of them is out of range.
+ * @param {number[]} values - The full year, one-based month, day, hour, minute, second, and millisecond.
+ */
+function getWallClockDate( values )
+{
+	const [year, month, day, hour, minute, second, millisecond] = values;
+	const date = new Date( 0 );
+	date.setUTCFullYear( year, month - 1, day );
+	date.setUTCHours( hour, minute, second, millisecond );
+	const isInRange = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+		&& date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+	return( isInRange?date:undefined );
+}
+/**
+ * @summary Transforms epoch milliseconds, ISO 8601 strings, and Temporal 
+ *	objects into values whose date parts can be compared.
+ * @description
+ *	* Finite numbers are epoch milliseconds.
+ *	* ISO 8601 strings with an offset (or "Z") are instants, but without one 
+ *		are plain dates and/or times.
+ *	* `Temporal.Instant` and `Temporal.ZonedDateTime` are instants.
+ *	* `Temporal.PlainDateTime`, `PlainDate`, `PlainTime`, `PlainYearMonth`, and 
+ *		`PlainMonthDay` are plain dates and/or times.
+ *	Any other value (including one that cannot be transformed) is returned as is.
+ * @returns {Date|PlainDateValue|*} A `Date` for an instant, a `PlainDateValue` 
+ *	for a plain date and/or time, or `value`.
+ * @param {*} value - The value to transform.
+ */
+function coerceDate( value )
+{
+	let coercedValue = value;
+	const typeTag = Object.prototype.toString.call( value );
+	if(( typeof( value ) === 'number' || value instanceof Number) && Number.isFinite( Number( value )))
+	{coercedValue = new Date( Number( value ));}
+	else if( typeTag === '[object Temporal.Instant]' || typeTag === '[object Temporal.ZonedDateTime]' )
+	{coercedValue = new Date( value.epochMilliseconds );}
+	else if( typeof( value ) === 'string' || value instanceof String || typeTag.startsWith( '[object Temporal.Plain' ))
+	{
+		const isoString = String( value ).trim();
+		const dateMatch = isoString.match( isoDateTimePattern );
+		const timeMatch = !dateMatch && typeTag === '[object Temporal.PlainTime]' && isoString.match( isoTimePattern );
+		let datePartNames;
+		let values;
+		if( dateMatch && dateMatch[ 8 ] !== undefined && dateMatch[ 1 ] !== undefined && dateMatch[ 4 ] !== undefined )
+		{
+			// An instant, which `Date` parses itself.
+			const date = new Date( isoString.replace( /\[.*\]$/, '' ));
+			coercedValue = Number.isNaN( date.getTime())?value:date;
+		}
+		// Note: Only a `Temporal.PlainMonthDay` may omit the year and only a `Temporal.PlainYearMonth` the day.
+		else if( dateMatch && dateMatch[ 8 ] === undefined
+			&& (dateMatch[ 1 ] !== undefined || typeTag === '[object Temporal.PlainMonthDay]')
+			&& (dateMatch[ 3 ] !== undefined || typeTag === '[object Temporal.PlainYearMonth]')
+		)
+		{
+			datePartNames = typeTag === '[object Temporal.PlainYearMonth]'?yearMonthPartNames
+				:typeTag === '[object Temporal.PlainMonthDay]'?['month', 'day']
+				:dateMatch[ 4 ] === undefined?calendarDatePartNames
+				:calendarDatePartNames.concat( wallClockTimePartNames );
+			values =
+			[
+				// A month and day without a year uses the leap year that Temporal uses for reference.
+				dateMatch[ 1 ] === undefined?1972:Number( dateMatch[ 1 ]),
+				Number( dateMatch[ 2 ]), Number( dateMatch[ 3 ] || 1 ),
+				Number( dateMatch[ 4 ] || 0 ), Number( dateMatch[ 5 ] || 0 ), Number( dateMatch[ 6 ] || 0 ),
+				Math.floor( Number(( dateMatch[ 7 ] || '0' ).padEnd( 3, '0' ).slice( 0, 3 ))),
+			];
+		}
+		else if( timeMatch )
+		{
+			datePartNames = wallClockTimePartNames;
+			values =
+			[
+				1970, 1, 1,
+				Number( timeMatch[ 1 ]), Number( timeMatch[ 2 ]), Number( timeMatch[ 3 ] || 0 ),
+				Math.floor( Number(( timeMatch[ 4 ] || '0' ).padEnd( 3, '0' ).slice( 0, 3 ))),
+			];
+		}
+		const date = values && getWallClockDate( values );
+		if( date )
+		{coercedValue = new PlainDateValue( date, datePartNames );}
+	}
+	return( coercedValue );
+}
+/**
+ * @summary Creates the function that gets the date to compare from each value 
+ *	passed to the collator, for the 'key' option.
+ * @description A property path (like "due.start") is followed one property at 
+ *	a time.  A value whose date is `undefined` (like a record missing the 
+ *	field) is treated as an invalid date rather than as a nullish one.
+ * @returns {function(*):*} Gets the date of a value.
+ * @param {string|function} [key] - The 'key' option.
+ */
+function createKeyAccessor( key )
+{
+	let getKey;
+	if( typeof( key ) === 'function' )
+	{getKey = key;}
+	else if( key !== undefined )
+	{
+		const propertyNames = String( key ).split( '.' );
+		getKey = ( record ) => propertyNames
+		.reduce(( value, eachPropertyName, _n, _everyPropertyName ) =>
+			value === null || value === undefined?undefined
+			:value[ eachPropertyName ]
+		, record );
+	}
+	// Without a 'key', `undefined` is itself a nullish date.
+	return( getKey === undefined?( date ) => date
+		:( value ) =>
+		{
+			const date = getKey( value );
+			return( date === undefined?new Date( NaN ):date );
+		}
+	);
+}
+const dateSensitivitySpecEntryPattern = /^(-)?([A-Za-z]+)(?:\/(\d+)(?::([A-Za-z]+))?)?$/;
+/**
+ * @summary Parses a compact spec string into the options it stands for.
+ * @description See `DateCollator.parseSpec` for the spec grammar.  Only the 
+ *	form is checked here; the values themselves are validated by the constructor.
+ * @returns {object} The 'dateSensitivity' and 'dateUsage' or 'timeZone' options.
+ * @param {string} spec - The spec string.
+ * @throws {TypeError} When the spec is not a string.
+ * @throws {RangeError} When an entry (or the part after "@") is not well-formed.
+ */
+function parseOptionsSpec( spec )
+{
+	if( !(typeof( spec ) === 'string' || spec instanceof String))
+	{throw( new TypeError( `DateCollator spec must be a string.` ));}
+	const atIndex = spec.indexOf( '@' );
+	const entriesSpec = atIndex < 0?String( spec )
+		:spec.slice( 0, atIndex );
+	const options = {};
+	if( entriesSpec.trim() !== '' )
+	{
+		options.dateSensitivity = entriesSpec.split( ',' )
+		.map(( eachEntrySpec, _e, _everyEntrySpec ) =>
+		{
+			const match = dateSensitivitySpecEntryPattern.exec( eachEntrySpec.trim());
+			if( match === null )
+			{throw( new RangeError( `Value '${eachEntrySpec}' out of range for DateCollator spec entry.` ));}
+			const [_entrySpec, descending, part, step, rounding] = match;
+			const entry = {part};
+			if( descending )
+			{entry.direction = 'descending';}
+			if( step !== undefined )
+			{entry.step = Number( step );}
+			if( rounding !== undefined )
+			{entry.rounding = rounding;}
+			return( Object.keys( entry ).length == 1?part
+				:entry );
+		});
+	}
+	if( atIndex >= 0 )
+	{
+		const zone = spec.slice( atIndex + 1 ).trim();
+		if( zone === '' )
+		{throw( new RangeError( `Value '' out of range for DateCollator spec time zone.` ));}
+		else if( Object.values( DateCollator.DateUsage ).includes( zone ))
+		{options.dateUsage = zone;}
+		else
+		{options.timeZone = zone;}
+	}
+	return( options );
+}
 /**
  * @summary Date collation by specified date parts for granular comparison.
  * @description This collator is similar to `Intl.Collator` except it allows 
@@ -21,6 +1521,21 @@
  *	const dateCollatorJustByWeekday = new DateCollator( null, {dateSensitivity:['weekday'], dateUsage:'utc'});
  *	dateCollatorJustByWeekday.compare( new Date( 2020, 2, 23, 9, 0 ), new Date( 2026, 2, 23, 11, 0 ));
  *	// returns 0
+ * @example <caption>Check whether Dates occur during the same day in another time zone.</caption>
+ *	const dateCollatorDownToDayInChicago = new DateCollator( null, {dateSensitivity:['year', 'month', 'day'], timeZone:'America/Chicago'});
+ *	dateCollatorDownToDayInChicago.compare( new Date( Date.UTC( 2020, 2, 23, 15, 0 )), new Date( Date.UTC( 2020, 2, 24, 3, 0 )));
+ *	// returns 0
+ * @example <caption>Check whether Dates occur during the same month of the Hebrew calendar.</caption>
+ *	const dateCollatorDownToHebrewMonth = new DateCollator( 'en-US-u-ca-hebrew', {dateSensitivity:['year', 'month'], dateUsage:'utc'});
+ *	dateCollatorDownToHebrewMonth.compare( new Date( Date.UTC( 2024, 2, 11 )), new Date( Date.UTC( 2024, 3, 8 )));
+ *	// returns 0
+ * @example <caption>Check whether Dates occur during the same 15-minute slot.</caption>
+ *	const dateCollatorBy15Minutes = new DateCollator( null, {dateSensitivity:['year', 'month', 'day', 'hour', {part:'minute', step:15}]});
+ *	dateCollatorBy15Minutes.compare( new Date( 2020, 2, 23, 11, 0 ), new Date( 2020, 2, 23, 11, 14 ));
+ *	// returns 0
+ * @example <caption>Sort tasks by the start of their due dates, with tasks without one last.</caption>
+ *	const dateCollatorByDueStart = new DateCollator( null, {key:'due.start', invalid:'last'});
+ *	tasks.sort( dateCollatorByDueStart.compare );
  * @example <caption>Default collator for sorting.</caption>
  *	const dateCollator = new DateCollator();
  *	let dates =
@@ -45,35 +1560,232 @@
 class DateCollator
 {
 	/**
-	 * @param {string|string[]} [_locales] - Unused, but present to be congruent with other collators.
+	 * @param {string|string[]} [locales] - A BCP 47 language tag (or array of them) whose "-u-ca-" extension determines the calendar.
 	 * @param {object} [options] - An object with some or all of the following properties:
-	 * @param {DatePartEnum[]} [options.dateSensitivity=['year', 'month', 'day', 'hour', 'minute', 'second', 'fractionalSecond']] - The granularity and order of date parts to use with each comparison.
+	 * @param {Array<DatePartEnum|DateSensitivityEntry>} [options.dateSensitivity=['year', 'month', 'day', 'hour', 'minute', 'second', 'fractionalSecond']] - The granularity and order (i.e., weight) of date parts to use with each comparison.
+	 * @param {boolean} [options.coerce=true] - Whether to compare epoch milliseconds, ISO 8601 strings, and Temporal objects by their date parts (instead of as strings); plain dates and/or times (without an offset or time zone) are only compared on the parts they have.
 	 * @param {DateUsageEnum} [options.dateUsage='local'] - Whether the comparison is to be performed using local or UTC values.
-	 * @typedef {('era'|'year'|'month'|'weekday'|'day'|'dayPeriod'|'hour'|'minute'|'second'|'fractionalSecond')} DatePartEnum
+	 * @param {DayPeriodEnum} [options.dayPeriod='meridian'] - Whether the 'dayPeriod' part is a.m. or p.m. ('meridian') or the locale's flexible day period (like "in the morning" or "at night") in time order ('flexible').
+	 * @param {HourCycleEnum} [options.hourCycle] - The clock face of the 'hour' part, like `Intl.DateTimeFormat`'s, e.g., 'h12' to compare 1 a.m. equal to 1 p.m. (without the 'dayPeriod' part); defaults to that of the specified locale (like 'h12' for 'en-US' or that of a "-u-hc-" extension), or 'h23' without one.
+	 * @param {RepeatedTimeEnum} [options.repeatedTime='wallClock'] - How local times repeated by a daylight saving time change (like 1:30 a.m. when the clocks are set back at 2:00 a.m.) compare: by their wall-clock values alone ('wallClock') or chronologically, with those of the earlier offset first ('earlierOffsetFirst').
+	 * @param {DirectionEnum} [options.direction='ascending'] - The sort direction of every date part without its own 'direction'.
+	 * @param {number} [options.firstDayOfWeek] - The day of the week (like `Date.prototype.getDay()`) that sorts first for the 'weekday' part and starts each 'weekOfMonth', e.g., 1 for Monday; defaults to that of the locale's week data (when available) or 0 for Sunday.
+	 * @param {number} [options.fiscalYearStartMonth=0] - The zero-based month (like `Date.prototype.getMonth()`) in which the 'fiscalYear' part starts, e.g., 9 for October.
+	 * @param {InvalidEnum} [options.invalid='legacy'] - Where values that are not valid dates (like `new Date( NaN )`) are placed, or whether to throw a `RangeError` for them; 'legacy' compares them (and valid dates) by their string forms.
+	 * @param {InvalidEnum} [options.nullish=options.invalid] - Like 'invalid', but for `null` and `undefined`; when both are placed 'first' or 'last', these are placed outermost.
+	 * @param {string} [options.calendar] - A calendar (like 'hebrew' or 'japanese') in which to perform the comparison; takes precedence over the locale's "-u-ca-" extension.
+	 * @param {string} [options.timeZone] - An IANA time zone name (like 'America/Chicago') in which to perform the comparison instead; takes precedence over `dateUsage`.
+	 * @param {number|object} [options.tolerance=0] - Milliseconds (or a duration object with `weeks`, `days`, `hours`, `minutes`, `seconds`, and/or `milliseconds`) within which valid dates are equal; not transitive, so not for sorting.
+	 * @param {string|function} [options.key] - A property path (like 'due.start') or a function that gets the date (or, for `relate` and `compareIntervals`, the interval) to compare from each value, so that records can be compared; a value without one (like a record missing the field) is an invalid date.  It is not applied to dates searched for or bounding a search (like those of `indexOf`, `range`, and `nextMatches`).
+	 * @typedef {('era'|'year'|'month'|'weekday'|'day'|'dayPeriod'|'hour'|'minute'|'second'|'fractionalSecond'|'quarter'|'isoWeek'|'isoWeekYear'|'dayOfYear'|'weekOfMonth'|'fiscalYear')} DatePartEnum
 	 * @typedef {('local'|'utc')} DateUsageEnum
+	 * @typedef {('meridian'|'flexible')} DayPeriodEnum
+	 * @typedef {('h11'|'h12'|'h23'|'h24')} HourCycleEnum
+	 * @typedef {('wallClock'|'earlierOffsetFirst')} RepeatedTimeEnum
+	 * @typedef {('ascending'|'descending')} DirectionEnum
+	 * @typedef {('legacy'|'first'|'last'|'throw')} InvalidEnum
+	 * @typedef {('floor'|'round'|'ceil')} RoundingEnum
+	 * @typedef {('before'|'meets'|'overlaps'|'starts'|'during'|'finishes'|'equals'|'after'|'metBy'|'overlappedBy'|'startedBy'|'contains'|'finishedBy')} IntervalRelationEnum
+	 * @typedef {object} DateSensitivityEntry
+	 * @property {DatePartEnum} part - The date part to compare.
+	 * @property {DirectionEnum} [direction] - The sort direction of this date part, overriding the collator's 'direction'.
+	 * @property {number} [step] - A positive integer to round this date part to a multiple of (like 15 for 15-minute slots), default 1; only for 'year', 'month', 'day', 'hour', 'minute', 'second', and 'fractionalSecond'.
+	 * @property {RoundingEnum} [rounding='floor'] - How this date part is rounded to its 'step'.
 	 * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/DateTimeFormat/formatToParts
 	 */
-	constructor( _locales, options )
+	constructor( locales, options )
 	{
+		// Copy the options so that later changes to them do not change this collator.
 		Object.defineProperties( this, {hidden:{enumerable:false, value:
 		{
-			options,
+			options:Object.assign( {}, options ),
 		}}});
-		this.hidden.options = this.hidden.options || {};
 		this.hidden.options.dateSensitivity = this.hidden.options.dateSensitivity
 			|| ['year', 'month', 'day', 'hour', 'minute', 'second', 'fractionalSecond'];
 		this.hidden.options.dateUsage = this.hidden.options.dateUsage
 			|| 'local';
+		this.hidden.options.direction = this.hidden.options.direction
+			|| 'ascending';
+		this.hidden.options.coerce = this.hidden.options.coerce === undefined?true
+			:this.hidden.options.coerce;
+		this.hidden.options.fiscalYearStartMonth = this.hidden.options.fiscalYearStartMonth
+			|| 0;
+		this.hidden.options.invalid = this.hidden.options.invalid
+			|| 'legacy';
+		this.hidden.options.dayPeriod = this.hidden.options.dayPeriod
+			|| 'meridian';
+		this.hidden.options.repeatedTime = this.hidden.options.repeatedTime
+			|| 'wallClock';
+		this.hidden.options.nullish = this.hidden.options.nullish
+			|| this.hidden.options.invalid;
 		if( !Array.isArray( this.hidden.options.dateSensitivity ))
 		{throw( new TypeError( `DateCollator options property 'dateSensitivity' must be an array.` ));}
-		else if( this.hidden.options.dateSensitivity
-			.some(( eachDateSensitivity, _s, _everyDateSensitivity ) =>
-				!Object.values( DateCollator.DateSensitivity ).includes( eachDateSensitivity )
-			)
-		)
-		{throw( new RangeError( `Value '${eachDateSensitivity}' out of range for DateCollator options property 'dateSensitivity'.` ));}
+		const unknownDateSensitivityIndex = this.hidden.options.dateSensitivity
+		.findIndex(( eachDateSensitivity, _s, _everyDateSensitivity ) =>
+			!Object.values( DateCollator.DateSensitivity ).includes( getDatePartName( eachDateSensitivity ))
+		);
+		if( unknownDateSensitivityIndex >= 0 )
+		{throw( new RangeError( `Value '${getDatePartName( this.hidden.options.dateSensitivity[ unknownDateSensitivityIndex ])}' out of range for DateCollator options property 'dateSensitivity'.` ));}
+		if( !(Object.values( DateCollator.Direction ).includes( this.hidden.options.direction )))
+		{throw( new RangeError( `Value '${this.hidden.options.direction}' out of range for DateCollator options property 'direction'.` ));}
+		// Copy each object entry (resolving its direction) while leaving plain string entries as they are.
+		this.hidden.options.dateSensitivity = this.hidden.options.dateSensitivity
+		.map(( eachDateSensitivity, _s, _everyDateSensitivity ) =>
+		{
+			if( typeof( eachDateSensitivity ) === 'string' )
+			{return( eachDateSensitivity );}
+			const direction = eachDateSensitivity.direction || this.hidden.options.direction;
+			if( !(Object.values( DateCollator.Direction ).includes( direction )))
+			{throw( new RangeError( `Value '${direction}' out of range for DateCollator options property 'dateSensitivity' entry property 'direction'.` ));}
+			if( eachDateSensitivity.step === undefined && eachDateSensitivity.rounding === undefined )
+			{return( Object.freeze({part:eachDateSensitivity.part, direction}));}
+			// Resolve the rounding of an entry with either a 'step' or a 'rounding'.
+			const step = eachDateSensitivity.step === undefined?1
+				:eachDateSensitivity.step;
+			const rounding = eachDateSensitivity.rounding || 'floor';
+			if( !steppableDatePartNames.includes( eachDateSensitivity.part ))
+			{throw( new RangeError( `Value '${eachDateSensitivity.part}' out of range for DateCollator options property 'dateSensitivity' entry property 'part' with a 'step'.` ));}
+			if( !(typeof( step ) === 'number' || step instanceof Number))
+			{throw( new TypeError( `DateCollator options property 'dateSensitivity' entry property 'step' must be a number.` ));}
+			else if( !(Number.isInteger( Number( step )) && step > 0))
+			{throw( new RangeError( `Value '${step}' out of range for DateCollator options property 'dateSensitivity' entry property 'step'.` ));}
+			if( !(Object.values( DateCollator.Rounding ).includes( rounding )))
+			{throw( new RangeError( `Value '${rounding}' out of range for DateCollator options property 'dateSensitivity' entry property 'rounding'.` ));}
+			return( Object.freeze({part:eachDateSensitivity.part, direction, step:Number( step ), rounding}));
+		}, this );
+		// The part and direction of each entry, as used by `compare`.
+		this.hidden.dateParts = this.hidden.options.dateSensitivity
+		.map(( eachDateSensitivity, _s, _everyDateSensitivity ) =>
+			typeof( eachDateSensitivity ) === 'string'
+				?{part:eachDateSensitivity, direction:this.hidden.options.direction}
+				:eachDateSensitivity
+		, this );
+		// The entries to round each value by, from the finest part to the coarsest.
+		this.hidden.roundings = this.hidden.dateParts
+		.filter(( eachDatePart, _p, _everyDatePart ) => eachDatePart.step !== undefined )
+		.sort(( left, right ) => steppableDatePartNames.indexOf( left.part ) - steppableDatePartNames.indexOf( right.part ));
 		if( !(Object.values( DateCollator.DateUsage ).includes( this.hidden.options.dateUsage )))
 		{throw( new RangeError( `Value '${this.hidden.options.dateUsage}' out of range for DateCollator options property 'dateUsage'.` ));}
+		if( !(Object.values( DateCollator.DayPeriod ).includes( this.hidden.options.dayPeriod )))
+		{throw( new RangeError( `Value '${this.hidden.options.dayPeriod}' out of range for DateCollator options property 'dayPeriod'.` ));}
+		if( !(Object.values( DateCollator.RepeatedTime ).includes( this.hidden.options.repeatedTime )))
+		{throw( new RangeError( `Value '${this.hidden.options.repeatedTime}' out of range for DateCollator options property 'repeatedTime'.` ));}
+		if( !(Object.values( DateCollator.Invalid ).includes( this.hidden.options.invalid )))
+		{throw( new RangeError( `Value '${this.hidden.options.invalid}' out of range for DateCollator options property 'invalid'.` ));}
+		if( !(Object.values( DateCollator.Invalid ).includes( this.hidden.options.nullish )))
+		{throw( new RangeError( `Value '${this.hidden.options.nullish}' out of range for DateCollator options property 'nullish'.` ));}
+		if( !(this.hidden.options.key === undefined || typeof( this.hidden.options.key ) === 'function'
+			|| typeof( this.hidden.options.key ) === 'string' || this.hidden.options.key instanceof String)
+		)
+		{throw( new TypeError( `DateCollator options property 'key' must be a string or a function.` ));}
+		this.hidden.key = createKeyAccessor( this.hidden.options.key );
+		if( this.hidden.options.tolerance === undefined )
+		{this.hidden.tolerance = 0;}
+		else if( !(this.hidden.options.tolerance !== null && ['number', 'object'].includes( typeof( this.hidden.options.tolerance ))))
+		{throw( new TypeError( `DateCollator options property 'tolerance' must be a number or a duration object.` ));}
+		else
+		{
+			this.hidden.tolerance = getDurationMilliseconds( this.hidden.options.tolerance );
+			if( !(Number.isFinite( this.hidden.tolerance ) && this.hidden.tolerance >= 0))
+			{throw( new RangeError( `Value '${this.hidden.options.tolerance}' out of range for DateCollator options property 'tolerance'.` ));}
+		}
+		if( typeof( this.hidden.options.coerce ) !== 'boolean' )
+		{throw( new TypeError( `DateCollator options property 'coerce' must be a boolean.` ));}
+		if( !(typeof( this.hidden.options.fiscalYearStartMonth ) === 'number' || this.hidden.options.fiscalYearStartMonth instanceof Number))
+		{throw( new TypeError( `DateCollator options property 'fiscalYearStartMonth' must be a number.` ));}
+		else if( !(Number.isInteger( Number( this.hidden.options.fiscalYearStartMonth ))
+			&& this.hidden.options.fiscalYearStartMonth >= 0 && this.hidden.options.fiscalYearStartMonth <= 11)
+		)
+		{throw( new RangeError( `Value '${this.hidden.options.fiscalYearStartMonth}' out of range for DateCollator options property 'fiscalYearStartMonth'.` ));}
+		if( this.hidden.options.timeZone !== undefined )
+		{
+			if( !(typeof( this.hidden.options.timeZone ) === 'string' || this.hidden.options.timeZone instanceof String))
+			{throw( new TypeError( `DateCollator options property 'timeZone' must be a string.` ));}
+			try
+			{
+				// Canonicalize names like 'asia/calcutta' to 'Asia/Calcutta'.
+				this.hidden.timeZone = new Intl.DateTimeFormat( 'en-US', {timeZone:String( this.hidden.options.timeZone )})
+					.resolvedOptions().timeZone;
+			}
+			catch( _error )
+			{throw( new RangeError( `Value '${this.hidden.options.timeZone}' out of range for DateCollator options property 'timeZone'.` ));}
+		}
+		if( this.hidden.options.calendar !== undefined )
+		{
+			if( !(typeof( this.hidden.options.calendar ) === 'string' || this.hidden.options.calendar instanceof String))
+			{throw( new TypeError( `DateCollator options property 'calendar' must be a string.` ));}
+			const isSupportedCalendar = typeof( Intl.supportedValuesOf ) !== 'function'
+				|| Intl.supportedValuesOf( 'calendar' ).includes( String( this.hidden.options.calendar ));
+			if( !isSupportedCalendar )
+			{throw( new RangeError( `Value '${this.hidden.options.calendar}' out of range for DateCollator options property 'calendar'.` ));}
+		}
+		// The 'calendar' option takes precedence over a locale's "-u-ca-" extension, like with `Intl.DateTimeFormat`.
+		// Note: Unlike `undefined`, `null` locales are rejected by `Intl.DateTimeFormat`.
+		const localeOptions = new Intl.DateTimeFormat( locales === null?undefined:locales,
+			this.hidden.options.calendar === undefined?{}:{calendar:String( this.hidden.options.calendar )}
+		).resolvedOptions();
+		this.hidden.locale = localeOptions.locale;
+		this.hidden.calendar = localeOptions.calendar;
+		if( this.hidden.options.firstDayOfWeek === undefined )
+		{
+			// Transform the locale's week data (Monday is 1 through Sunday is 7) like `Date.prototype.getDay()`.
+			const locale = typeof( Intl.Locale ) === 'function'?new Intl.Locale( this.hidden.locale ):{};
+			const weekInfo = typeof( locale.getWeekInfo ) === 'function'?locale.getWeekInfo()
+				:locale.weekInfo;
+			this.hidden.options.firstDayOfWeek = weekInfo?weekInfo.firstDay % 7
+				:0;
+		}
+		else if( !(typeof( this.hidden.options.firstDayOfWeek ) === 'number' || this.hidden.options.firstDayOfWeek instanceof Number))
+		{throw( new TypeError( `DateCollator options property 'firstDayOfWeek' must be a number.` ));}
+		else if( !(Number.isInteger( Number( this.hidden.options.firstDayOfWeek ))
+			&& this.hidden.options.firstDayOfWeek >= 0 && this.hidden.options.firstDayOfWeek <= 6)
+		)
+		{throw( new RangeError( `Value '${this.hidden.options.firstDayOfWeek}' out of range for DateCollator options property 'firstDayOfWeek'.` ));}
+		if( this.hidden.options.hourCycle === undefined )
+		{
+			// Like `Intl.DateTimeFormat`, default from the locale (including its "-u-hc-" extension), but only from specified locales, so that the default collator reads hours the same with any runtime default locale.
+			this.hidden.options.hourCycle = (locales !== undefined && locales !== null
+				&& new Intl.DateTimeFormat( this.hidden.locale, {hour:'numeric'}).resolvedOptions().hourCycle)
+				|| 'h23';
+		}
+		else if( !(Object.values( DateCollator.HourCycle ).includes( this.hidden.options.hourCycle )))
+		{throw( new RangeError( `Value '${this.hidden.options.hourCycle}' out of range for DateCollator options property 'hourCycle'.` ));}
+		if( this.hidden.options.dayPeriod === 'flexible' )
+		{
+			// Like an unsupported calendar, flexible day periods are unsupported by runtimes that ignore `dayPeriod` (rather than all being one day period).
+			const isSupportedDayPeriod = new Intl.DateTimeFormat( this.hidden.locale, {dayPeriod:'long', timeZone:'UTC'})
+				.formatToParts( new Date( 0 ))
+				.some(( eachPart, _p, _everyPart ) => eachPart.type === 'dayPeriod' );
+			if( !isSupportedDayPeriod )
+			{throw( new RangeError( `Value '${this.hidden.options.dayPeriod}' out of range for DateCollator options property 'dayPeriod'.` ));}
+			this.hidden.flexibleDayPeriods = getFlexibleDayPeriods( this.hidden.locale );
+		}
+		const isGregorian = ['gregory', 'iso8601'].includes( this.hidden.calendar );
+		// `Date.prototype` getters suffice unless either a time zone or a non-Gregorian calendar is needed.
+		if( this.hidden.options.timeZone !== undefined || !isGregorian )
+		{
+			this.hidden.formats = createFormats( this.hidden.calendar,
+				this.hidden.timeZone !== undefined?this.hidden.timeZone
+				:this.hidden.options.dateUsage === 'utc'?'UTC'
+				:undefined
+			);
+		}
+		// Plain values are read as UTC values, which only need formatting for a non-Gregorian calendar.
+		if( !isGregorian )
+		{this.hidden.plainFormats = createFormats( this.hidden.calendar, 'UTC' );}
+		// Resolve how each date part is read once rather than on every comparison.
+		this.hidden.readers = createDatePartReaders( this.hidden.dateParts
+			.map(( eachDatePart, _p, _everyDatePart ) => eachDatePart.part ), this.hidden );
+		// The first wall-clock time part finer than 'dayPeriod' orders repeated times after the earlier ones (UTC has none).
+		this.hidden.readers.repeatedTimeIndex = this.hidden.options.repeatedTime === 'earlierOffsetFirst'
+			&& (this.hidden.timeZone !== undefined || this.hidden.options.dateUsage === 'local')?this.hidden.dateParts
+				.findIndex(( eachDatePart, _p, _everyDatePart ) =>
+					eachDatePart.part !== 'dayPeriod' && wallClockTimePartNames.includes( eachDatePart.part ))
+			:-1;
+		// Whether `Date`s' parts are read by `Date.prototype` getters alone (see `compareDates`).
+		this.hidden.canCompareDatesDirectly = this.hidden.formats === undefined
+			&& this.hidden.roundings.length == 0
+			&& this.hidden.readers.repeatedTimeIndex < 0;
 	}
 	static get DateSensitivity()
 	{
@@ -81,11 +1793,108 @@ class DateCollator
 		{
 			Era:'era', Year:'year', Month:'month', Weekday:'weekday',
 			Day:'day', DayPeriod:'dayPeriod', Hour:'hour', Minute:'minute',
-			Second:'second', FractionalSecond:'fractionalSecond'
+			Second:'second', FractionalSecond:'fractionalSecond',
+			Quarter:'quarter', IsoWeek:'isoWeek', IsoWeekYear:'isoWeekYear',
+			DayOfYear:'dayOfYear', WeekOfMonth:'weekOfMonth', FiscalYear:'fiscalYear'
 		});
 	}
 	static get DateUsage()
 	{return({Local:'local', UTC:'utc'});}
+	static get DayPeriod()
+	{return({Meridian:'meridian', Flexible:'flexible'});}
+	static get Direction()
+	{return({Ascending:'ascending', Descending:'descending'});}
+	static get HourCycle()
+	{return({H11:'h11', H12:'h12', H23:'h23', H24:'h24'});}
+	static get Invalid()
+	{return({Legacy:'legacy', First:'first', Last:'last', Throw:'throw'});}
+	static get IntervalRelation()
+	{
+		return(
+		{
+			Before:'before', Meets:'meets', Overlaps:'overlaps', Starts:'starts',
+			During:'during', Finishes:'finishes', Equals:'equals',
+			After:'after', MetBy:'metBy', OverlappedBy:'overlappedBy', StartedBy:'startedBy',
+			Contains:'contains', FinishedBy:'finishedBy'
+		});
+	}
+	static get RepeatedTime()
+	{return({WallClock:'wallClock', EarlierOffsetFirst:'earlierOffsetFirst'});}
+	static get Rounding()
+	{return({Floor:'floor', Round:'round', Ceil:'ceil'});}
+	/**
+	 * @summary Returns those of the provided locales that are supported without 
+	 *	having to fall back to the runtime's default locale.
+	 * @description Locale support is that of `Intl.DateTimeFormat`, which 
+	 *	determines each locale's calendar.
+	 * @returns {string[]} The supported locales.
+	 * @param {string|string[]} [locales] - A BCP 47 language tag (or array of them).
+	 * @param {object} [options] - An object with a `localeMatcher` property of 'lookup' or 'best fit'.
+	 */
+	static supportedLocalesOf( locales, options )
+	{return( Intl.DateTimeFormat.supportedLocalesOf( locales === null?undefined:locales, options ));}
+	/**
+	 * @summary Chains comparators, each breaking the ties of those before it.
+	 * @description Each comparator is a comparing function or an object with 
+	 *	one as its `compare` property (like an `Intl.Collator` or a 
+	 *	`DateCollator`).  The chained comparator can be passed directly to 
+	 *	`Array.prototype.sort`, and has a `thenBy( ...comparators )` method 
+	 *	that chains more comparators after it and a `reversed()` method that 
+	 *	reverses its order.
+	 * @example <caption>Sort events by day (newest first), then by title.</caption>
+	 *	const titleCollator = new Intl.Collator();
+	 *	const dateCollatorDownToDay = new DateCollator( null, {dateSensitivity:['year', 'month', 'day'], key:'start'});
+	 *	events.sort( DateCollator.chain( dateCollatorDownToDay ).reversed().thenBy(( leftEvent, rightEvent ) => titleCollator.compare( leftEvent.title, rightEvent.title )));
+	 * @returns {function} The chained comparator.
+	 * @param {...(function|object)} comparators - The comparators, in order of precedence.
+	 * @throws {TypeError} When a comparator is neither a function nor an object with a `compare` function.
+	 */
+	static chain( ...comparators )
+	{
+		return( createChainedCompare( comparators.map(( eachComparator, i, _everyComparator ) =>
+			getComparingFunction( eachComparator, i ))));
+	}
+	/**
+	 * @summary Parses a compact spec string (like "year,month,day@utc") into 
+	 *	the options it stands for.
+	 * @description A spec is comma-separated 'dateSensitivity' entries, each a 
+	 *	date part name optionally prefixed by "-" for a 'descending' direction 
+	 *	and suffixed by "/" and a step (and then by ":" and a rounding), 
+	 *	optionally followed by "@" and either a 'dateUsage' ("local" or "utc") 
+	 *	or a 'timeZone', e.g., "-year,month,day,minute/15:round@America/Chicago".  
+	 *	Without entries (like "@utc"), the default 'dateSensitivity' is used.  
+	 *	The options are validated like the constructor validates them.
+	 * @example <caption>Sort by the newest year first, then in 15-minute slots, in Chicago.</caption>
+	 *	new DateCollator( null, DateCollator.parseSpec( '-year,month,day,hour,minute/15@America/Chicago' ));
+	 * @returns {object} The 'dateSensitivity' and 'dateUsage' or 'timeZone' options.
+	 * @param {string} spec - The spec string.
+	 * @throws {TypeError} When the spec is not a string.
+	 * @throws {RangeError} When an entry (or the part after "@") is not well-formed or its value is out of range.
+	 */
+	static parseSpec( spec )
+	{
+		const options = parseOptionsSpec( spec );
+		// Constructed only to validate the options, throwing like the constructor does.
+		const _dateCollator = new DateCollator( null, options );
+		return( options );
+	}
+	/**
+	 * @summary Creates a collator from the result of `toJSON` (or its JSON string).
+	 * @returns {DateCollator} A collator with the serialized locale and options.
+	 * @param {object|string} json - The result of `toJSON`, or a JSON string of it.
+	 * @throws {TypeError} When `json` is neither an object nor a JSON string of one.
+	 * @throws {RangeError} When an option is out of range.
+	 */
+	static fromJSON( json )
+	{
+		const serialized = typeof( json ) === 'string' || json instanceof String?JSON.parse( String( json ))
+			:json;
+		if( !(serialized !== null && typeof( serialized ) === 'object' && !Array.isArray( serialized )))
+		{throw( new TypeError( `DateCollator JSON must be an object or a JSON string of one.` ));}
+		const options = Object.assign( {}, serialized );
+		delete options.locale;
+		return( new DateCollator( serialized.locale, options ));
+	}
 	/**
 	 * @summary Calculates a negative, zero, or positive number indicating that 
 	 *	`leftDate` is less than, equal to, or greater than `rightDate`, respectively.
@@ -95,151 +1904,565 @@ class DateCollator
 	 *	a positive value if `leftDate` comes after `rightDate`; 
 	 *	0 if they are considered equal.
 	 * @returns {number} Comparison of `leftDate` with respect to `rightDate`.
-	 * @param {Date|*} leftDate 
-	 * @param {Date|*} rightDate 
+	 * @param {Date|number|string|object|*} leftDate 
+	 * @param {Date|number|string|object|*} rightDate 
 	 */
 	get compare()
 	{
-		// Accessed by `this.compare`, which `bind`s it to `this` for passing `compare` as an unscoped parameter.
-		function compareUnbound( leftDate, rightDate )
-		{
-			/**
-			 * @returns {number} Zero if all `partPair` comparisons are equal or 
-			 *	non-zero indicating the first non-zero result.
-			 * @param {number} difference - Comparison of each `partPair` in order.
-			 * @param {number[]} partPair - Each sequential pair of date parts.
-			 * Note: Will not be accurate with `Array.prototype.reduceRight`.
-			 */
-			const datePartReducer = ( difference, partPair, _pp, _partPairs ) =>
+		// Bound once, so that `compare` can be passed as an unscoped parameter (like to `Array.prototype.sort`) and is the same function on every read.
+		if( this.hidden.compare === undefined )
+		{
+			this.hidden.compare = ( leftDate, rightDate ) =>
 			{
-				// istanbul ignore next
-				if( !(typeof( difference ) === 'number' || difference instanceof Number))
-				{throw( new TypeError( `Initial value must be a number (or Number).` ));}
-				// istanbul ignore next
-				// if( partPair.length != 2 )
-				// {throw( new TypeError( `Array should consist only of arrays with length 2.` ));}
-				// istanbul ignore next
-				// if( !partPair.every(( part, _p, _parts ) => Number.isFinite( part )))
-				// {throw( new TypeError( `Array should consist only of arrays of numbers.` ));}
-				// Do no recalculate the difference if a non-zero difference has already been calculated.
-				if( difference == 0 )
-				{difference = partPair[ 0 ] - partPair[ 1 ];}
-				return( difference );
+				const leftKeyedDate = this.hidden.key( leftDate );
+				const rightKeyedDate = this.hidden.key( rightDate );
+				// Compare two valid `Date`s without decorating them, which `Array.prototype.sort` would do on every call.
+				return( this.hidden.canCompareDatesDirectly
+					&& leftKeyedDate instanceof Date && !Number.isNaN( leftKeyedDate.getTime())
+					&& rightKeyedDate instanceof Date && !Number.isNaN( rightKeyedDate.getTime())?compareDates( leftKeyedDate, rightKeyedDate, this.hidden )
+					:compareDecorated( decorateDate( leftKeyedDate, this.hidden ), decorateDate( rightKeyedDate, this.hidden ), this.hidden ));
 			};
-			let difference;
-			const areBothValidDates = leftDate instanceof Date && rightDate instanceof Date
-				&& !Number.isNaN( leftDate.getTime()) && !Number.isNaN( rightDate.getTime());
-			if( areBothValidDates )
+		}
+		return( this.hidden.compare );
+	}
+	/**
+	 * @summary Sorts an array in place in the order of `compare`, like 
+	 *	`array.sort( this.compare )`, but faster for values that are costly to read.
+	 * @description Each element is coerced and has its date parts read once 
+	 *	before sorting (i.e., decorate-sort-undecorate) rather than once per 
+	 *	comparison, which pays off for epoch milliseconds, strings, and 
+	 *	Temporal objects, and for any values with a 'timeZone', non-Gregorian 
+	 *	calendar, 'step', or 'earlierOffsetFirst' 'repeatedTime'.  Otherwise, 
+	 *	sort an array of `Date`s with `array.sort( this.compare )` instead, 
+	 *	which compares them without decorating them and is faster.  Elements 
+	 *	equal according to this collator keep their order.
+	 * @returns {Array} The same array, sorted.
+	 * @param {Array} array - The array to sort.
+	 * @throws {RangeError} When an element is not a valid date and its option is 'throw'.
+	 */
+	sort( array )
+	{return( this.sortBy( array ));}
+	/**
+	 * @summary Sorts an array of items in place in the order of `compare` on 
+	 *	the date of each item.
+	 * @description Like `sort`, each item's date is read once before sorting.
+	 * @example <caption>Sort events by their start.</caption>
+	 *	new DateCollator().sortBy( events, ( event ) => event.start );
+	 * @returns {Array} The same array, sorted.
+	 * @param {Array} array - The array of items to sort.
+	 * @param {function} [keyFn] - Gets the date of an item; by default, each item is its own date.
+	 * @throws {RangeError} When a date is not a valid date and its option is 'throw'.
+	 */
+	sortBy( array, keyFn )
+	{
+		const getDate = keyFn || (( item ) => item );
+		const decorated = array
+		.map(( eachItem, i, _everyItem ) =>
+			({item:eachItem, index:i, decoratedDate:decorateDate( this.hidden.key( getDate( eachItem )), this.hidden )})
+		, this )
+		.sort(( left, right ) =>
+			compareDecorated( left.decoratedDate, right.decoratedDate, this.hidden ) || left.index - right.index
+		);
+		decorated.forEach(( eachDecorated, i, _everyDecorated ) =>
+		{array[ i ] = eachDecorated.item;});
+		return( array );
+	}
+	/**
+	 * @summary Calculates a string that sorts (as a string) in the same order as 
+	 *	`date` does with `compare`.
+	 * @description Two dates are equal with `compare` exactly when their keys 
+	 *	are equal, so keys can stand in for dates as `Map` keys, in a `Set`, or in 
+	 *	an IndexedDB index.  The exceptions are values that `compare` does not 
+	 *	order consistently itself:
+	 *	* Plain dates and/or times missing a part, which `compare` skips, but 
+	 *		whose keys sort that part first.
+	 *	* Values that are not valid dates with a 'legacy' 'invalid' (or 
+	 *		'nullish') option, whose keys sort after every valid date by their 
+	 *		string forms.
+	 *	* Dates within the 'tolerance' of each other, which keys ignore.
+	 * @returns {string} The collation key of `date`.
+	 * @param {Date|number|string|object|*} date 
+	 * @throws {RangeError} When `date` is not a valid date and its option is 'throw'.
+	 */
+	collationKey( date )
+	{
+		const keyedDate = this.hidden.key( date );
+		const value = this.hidden.options.coerce?coerceDate( keyedDate ):keyedDate;
+		const rank = getInvalidRank( value, this.hidden.options );
+		let collationKey;
+		if( rank != 0 )
+		{collationKey = String( rank + 2 );}
+		else if( isValidDateValue( value ))
+		{
+			collationKey = '2' + getDateParts( value, this.hidden )
+			.map(( eachPart, p, _everyPart ) =>
+				// Transform a descending part by negating it.
+				encodeDatePart( eachPart !== undefined && this.hidden.dateParts[ p ].direction === 'descending'?-eachPart
+					:eachPart )
+			, this )
+			.join( '' );
+		}
+		else
+		{collationKey = '5' + String( keyedDate );}
+		return( collationKey );
+	}
+	/**
+	 * @returns {boolean} Whether `leftDate` and `rightDate` are equal according 
+	 *	to this collator, i.e., `compare( leftDate, rightDate ) === 0`.
+	 * @param {Date|number|string|object|*} leftDate 
+	 * @param {Date|number|string|object|*} rightDate 
+	 */
+	equals( leftDate, rightDate )
+	{return( this.compare( leftDate, rightDate ) === 0 );}
+	/**
+	 * @summary Chains comparators after `compare` to break its ties.
+	 * @description Like `DateCollator.chain( this, ...comparators )`.
+	 * @example <caption>Sort tasks by due day, then newest created first.</caption>
+	 *	tasks.sort( new DateCollator( null, {dateSensitivity:['year', 'month', 'day'], key:'due'})
+	 *	.thenBy( new DateCollator( null, {direction:'descending', key:'created'})));
+	 * @returns {function} The chained comparator, with `thenBy` and `reversed` methods.
+	 * @param {...(function|object)} comparators - The comparators, in order of precedence.
+	 * @throws {TypeError} When a comparator is neither a function nor an object with a `compare` function.
+	 */
+	thenBy( ...comparators )
+	{return( DateCollator.chain( this ).thenBy( ...comparators ));}
+	/**
+	 * @summary Compares two dates like `compare`, but explains the result.
+	 * @description The `parts` are only present when both dates are valid; each 
+	 *	part's `difference` is `left - right` (regardless of its direction), or 
+	 *	`undefined` when either side does not have that part (like the 'hour' 
+	 *	of a plain date).  The `part` is `undefined` when the dates are equal or 
+	 *	are not ordered by their parts (like an invalid date placed 'first').
+	 * @example <caption>Explain how Dates on the same day compare.</caption>
+	 *	new DateCollator().compareDetailed( new Date( 2020, 2, 23, 9, 0 ), new Date( 2020, 2, 23, 12, 0 ));
+	 *	// returns {sign:-1, part:'hour', parts:[{part:'year', left:2020, right:2020, difference:0}, …, {part:'hour', left:9, right:12, difference:-3}, …]}
+	 * @returns {{sign:number, part:(DatePartEnum|undefined), parts:Array<{part:DatePartEnum, left:number, right:number, difference:number}>}} 
+	 *	The result of `compare`, the first part that differs, and every part of 
+	 *	both dates in 'dateSensitivity' order.
+	 * @param {Date|number|string|object|*} leftDate 
+	 * @param {Date|number|string|object|*} rightDate 
+	 */
+	compareDetailed( leftDate, rightDate )
+	{
+		const left = decorateDate( this.hidden.key( leftDate ), this.hidden );
+		const right = decorateDate( this.hidden.key( rightDate ), this.hidden );
+		const sign = compareDecorated( left, right, this.hidden );
+		const parts = !(left.parts && right.parts)?[]
+			:this.hidden.dateParts
+			.map(( eachDatePart, p, _everyDatePart ) =>
+			({
+				part:eachDatePart.part,
+				left:left.parts[ p ],
+				right:right.parts[ p ],
+				difference:left.parts[ p ] === undefined || right.parts[ p ] === undefined?undefined
+					:left.parts[ p ] - right.parts[ p ],
+			}));
+		// Note: Dates within the 'tolerance' are equal even when their parts differ.
+		const differingPart = sign == 0?undefined
+			:parts.find(( eachPart, _p, _everyPart ) => eachPart.difference !== undefined && eachPart.difference != 0 );
+		return({sign, part:differingPart && differingPart.part, parts});
+	}
+	/**
+	 * @summary Determines whether a date matches a partial date pattern, like 
+	 *	"a Monday at 09:xx" or "the 1st of any month in Q4".
+	 * @description A pattern sets a value, a range (with `from` and/or `to`, 
+	 *	inclusive), or an array of values and ranges for any of the 
+	 *	`DateCollator.DateSensitivity` parts.  Parts are read like `compare` reads 
+	 *	them (e.g., with this collator's 'dateUsage', 'timeZone', 'calendar', and 
+	 *	'hourCycle', and 'month' zero-based), except that 'weekday' is numbered 
+	 *	like `Date.prototype.getDay()` (0 for Sunday) regardless of the 
+	 *	'firstDayOfWeek'.  Values that are not valid dates do not match.
+	 * @example <caption>Check whether a Date is on a Monday, Wednesday, or Friday during business hours.</caption>
+	 *	new DateCollator().matches( new Date( 2020, 2, 23, 9, 30 ), {weekday:[1, 3, 5], hour:{from:9, to:16}});
+	 *	// returns true
+	 * @returns {boolean} Whether every date part in `pattern` matches.
+	 * @param {Date|number|string|object|*} date - The value to test, whose date the 'key' option gets (like for `compare`).
+	 * @param {object} pattern - Values, ranges, or arrays of them by `DatePartEnum`.
+	 * @throws {TypeError} When the pattern or one of its values is not of a valid type.
+	 * @throws {RangeError} When the pattern has a property that is not a date part.
+	 */
+	matches( date, pattern )
+	{
+		const matcher = createPatternMatcher( pattern, this.hidden );
+		const keyedDate = this.hidden.key( date );
+		const value = this.hidden.options.coerce?coerceDate( keyedDate ):keyedDate;
+		return( isValidDateValue( value ) && findMismatchedDatePart( value, matcher, this.hidden ) === undefined );
+	}
+	/**
+	 * @summary Lists the next dates after `start` that match a partial date 
+	 *	pattern (see `matches`).
+	 * @description Each date is the start of the finest unit (like the hour or 
+	 *	the day) that `pattern` sets, in this collator's wall-clock time.  
+	 *	Non-matching dates are skipped a unit of the coarsest mismatched part at 
+	 *	a time, and the search gives up (returning fewer dates) after `maxSteps` 
+	 *	units, so that patterns that never match (like February 30) end.  Each 
+	 *	wall-clock time is tried once, so one repeated by a daylight saving time 
+	 *	change is listed at its earlier offset, and one skipped by a change is 
+	 *	tried as the `Date` as far after the change.
+	 * @example <caption>List the next two Mondays at 9:00.</caption>
+	 *	new DateCollator().nextMatches( new Date( 2020, 2, 23, 12, 0 ), {weekday:1, hour:9}, 2 );
+	 *	// returns [new Date( 2020, 2, 30, 9, 0 ), new Date( 2020, 3, 6, 9, 0 )]
+	 * @returns {Date[]} Up to `count` matching dates, in chronological order.
+	 * @param {Date|number|string|object} start - A valid date (not a record) after which to search.
+	 * @param {object} pattern - Values, ranges, or arrays of them by `DatePartEnum`.
+	 * @param {number} [count=1] - The number of dates to list.
+	 * @param {object} [options] - An object with the following property:
+	 * @param {number} [options.maxSteps=100000] - The number of units after which to give up.
+	 * @throws {RangeError} When `start` is not a valid date.
+	 */
+	nextMatches( start, pattern, count = 1, options )
+	{
+		const matcher = createPatternMatcher( pattern, this.hidden );
+		const startValue = coerceDate( start );
+		if( !isValidDateValue( startValue ))
+		{throw( new RangeError( `Value '${start}' out of range for DateCollator 'nextMatches' start.` ));}
+		const maxSteps = options && options.maxSteps !== undefined?options.maxSteps
+			:100000;
+		// Calendar parts of non-Gregorian calendars do not line up with Gregorian months and years, but do with days.
+		const isGregorian = ['gregory', 'iso8601'].includes( this.hidden.calendar );
+		const getSkipUnit = ( datePartName ) => !isGregorian && ['year', 'month'].includes( datePartSkipUnits[ datePartName ])?'day'
+			:datePartSkipUnits[ datePartName ];
+		const finestUnit = matcher.entries.length == 0?'fractionalSecond'
+			:getSkipUnit( matcher.entries[ matcher.entries.length - 1 ].part );
+		// The start of the unit (of a part) after the one containing `time`.
+		const getNextWallClockTime = ( time, unit ) =>
+			roundWallClockTime( roundWallClockTime( time, {part:unit, step:1, rounding:'floor'}) + 1, {part:unit, step:1, rounding:'ceil'});
+		const matchingDates = [];
+		let wallClockTime = getNextWallClockTime( getWallClockTime( startValue, this.hidden ), finestUnit );
+		for( let step = 0; matchingDates.length < count && step < maxSteps && Number.isFinite( wallClockTime ); ++step )
+		{
+			const date = getDateAtWallClockTime( wallClockTime, this.hidden );
+			// Stop past the last valid `Date`.
+			if( !isValidDateValue( date ))
+			{wallClockTime = NaN;}
+			else
 			{
-				const partPairs = this.hidden.options.dateSensitivity
-				.map(( eachDateSensitivity, _s, _everyDateSensitivity ) =>
+				const mismatchedDatePartName = findMismatchedDatePart( date, matcher, this.hidden );
+				if( mismatchedDatePartName === undefined )
 				{
-					let partPair;
-					switch( this.hidden.options.dateUsage )
-					{
-						case 'local':
-							switch( eachDateSensitivity )
-							{
-								case 'day':
-									partPair = [leftDate.getDate(), rightDate.getDate()];
-									break;
-								case 'dayPeriod':
-									// Transform a.m. to 0 and p.m. to 1.
-									partPair = [Math.floor( leftDate.getHours() / 12 ), Math.floor( rightDate.getHours() / 12 )];
-									break;
-								case 'era':
-									// Transform B.C. to -1 and A.D. to +1.
-									partPair = [Math.sign( leftDate.getFullYear()), Math.sign( rightDate.getFullYear())];
-									break;
-								case 'hour':
-									partPair = [leftDate.getHours(), rightDate.getHours()];
-									break;
-								case 'minute':
-									partPair = [leftDate.getMinutes(), rightDate.getMinutes()];
-									break;
-								case 'second':
-									partPair = [leftDate.getSeconds(), rightDate.getSeconds()];
-									break;
-								case 'month':
-									partPair = [leftDate.getMonth(), rightDate.getMonth()];
-									break;
-								case 'weekday':
-									partPair = [leftDate.getDay(), rightDate.getDay()];
-									break;
-								case 'year':
-									partPair = [leftDate.getFullYear(), rightDate.getFullYear()];
-									break;
-								case 'fractionalSecond':
-									// Note: This is valid for as long as `Date`'s epoch/`getTime()` value is in milliseconds.
-									partPair = [leftDate.getMilliseconds(), rightDate.getMilliseconds()];
-									break;
-								default:
-									// istanbul ignore next
-									throw( new Error( `Unhandled 'dateSensitivity' value '${eachDateSensitivity}'.` ));
-							}
-							break;
-						case 'utc':
-							switch( eachDateSensitivity )
-							{
-								case 'day':
-									partPair = [leftDate.getUTCDate(), rightDate.getUTCDate()];
-									break;
-								case 'dayPeriod':
-									// Transform a.m. to 0 and p.m. to 1.
-									partPair = [Math.floor( leftDate.getUTCHours() / 12 ), Math.floor( rightDate.getUTCHours() / 12 )];
-									break;
-								case 'era':
-									// Transform B.C. to -1 and A.D. to +1.
-									partPair = [Math.sign( leftDate.getUTCFullYear()), Math.sign( rightDate.getUTCFullYear())];
-									break;
-								case 'hour':
-									partPair = [leftDate.getUTCHours(), rightDate.getUTCHours()];
-									break;
-								case 'minute':
-									partPair = [leftDate.getUTCMinutes(), rightDate.getUTCMinutes()];
-									break;
-								case 'second':
-									partPair = [leftDate.getUTCSeconds(), rightDate.getUTCSeconds()];
-									break;
-								case 'month':
-									partPair = [leftDate.getUTCMonth(), rightDate.getUTCMonth()];
-									break;
-								case 'weekday':
-									partPair = [leftDate.getUTCDay(), rightDate.getUTCDay()];
-									break;
-								case 'year':
-									partPair = [leftDate.getUTCFullYear(), rightDate.getUTCFullYear()];
-									break;
-								case 'fractionalSecond':
-									// Note: This is valid for as long as `Date`'s epoch/`getTime()` value is in milliseconds.
-									partPair = [leftDate.getUTCMilliseconds(), rightDate.getUTCMilliseconds()];
-									break;
-								default:
-									// istanbul ignore next
-									throw( new Error( `Unhandled 'dateSensitivity' value '${eachDateSensitivity}'.` ));
-							}
-							break;
-						default:
-							// istanbul ignore next
-							throw( new Error( `Unhandled 'dateUsage' value '${this.options.dateUsage}'.` ));
-					}
-					return( partPair );
-				}, this );
-				difference = partPairs.reduce( datePartReducer, 0 );
+					// Note: A wall-clock time skipped by a daylight saving time change is the same `Date` as a later one, so is only listed once.
+					if( matchingDates.length == 0 || date > matchingDates[ matchingDates.length - 1 ])
+					{matchingDates.push( date );}
+					wallClockTime = getNextWallClockTime( wallClockTime, finestUnit );
+				}
+				else
+				{wallClockTime = getNextWallClockTime( wallClockTime, getSkipUnit( mismatchedDatePartName ));}
 			}
-			else
+		}
+		return( matchingDates );
+	}
+	/**
+	 * @summary Determines which of Allen's 13 interval relations holds between 
+	 *	two intervals, comparing their starts and ends like `compare` does.
+	 * @description Each interval is an array of its start and end, an object 
+	 *	with `start` and `end` properties, or a single date (which both starts 
+	 *	and ends it); with a 'key' option, the key gets the interval.  Ends are 
+	 *	read at this collator's 'dateSensitivity' (and 'dateUsage'), so, e.g., 
+	 *	with a day-level collator a booking ending on the day another starts 
+	 *	'meets' it.  Intervals whose start and end are equal (at that granularity) 
+	 *	relate as 'starts', 'finishes', or 'equals' before 'meets' or 'metBy'.
+	 * @example <caption>Check whether bookings overlap at day granularity.</caption>
+	 *	const dateCollatorDownToDay = new DateCollator( null, {dateSensitivity:['year', 'month', 'day']});
+	 *	dateCollatorDownToDay.relate(
+	 *		[new Date( 2020, 2, 23, 14, 0 ), new Date( 2020, 2, 25, 10, 0 )],
+	 *		[new Date( 2020, 2, 24, 15, 0 ), new Date( 2020, 2, 26, 10, 0 )]
+	 *	);
+	 *	// returns 'overlaps'
+	 * @returns {IntervalRelationEnum} The relation of `leftInterval` to `rightInterval`.
+	 * @param {Array|object|*} leftInterval 
+	 * @param {Array|object|*} rightInterval 
+	 * @throws {RangeError} When an end is not a valid date and its option is 'throw', or when the start compares after the end.
+	 */
+	relate( leftInterval, rightInterval )
+	{
+		const [leftStart, leftEnd] = decorateInterval( leftInterval, this.hidden );
+		const [rightStart, rightEnd] = decorateInterval( rightInterval, this.hidden );
+		const startToStart = compareDecorated( leftStart, rightStart, this.hidden );
+		const endToEnd = compareDecorated( leftEnd, rightEnd, this.hidden );
+		const endToStart = compareDecorated( leftEnd, rightStart, this.hidden );
+		const startToEnd = compareDecorated( leftStart, rightEnd, this.hidden );
+		let relation;
+		if( endToStart < 0 )
+		{relation = 'before';}
+		else if( startToEnd > 0 )
+		{relation = 'after';}
+		else if( startToStart == 0 )
+		{
+			relation = endToEnd < 0?'starts'
+				:endToEnd > 0?'startedBy'
+				:'equals';
+		}
+		else if( endToEnd == 0 )
+		{
+			relation = startToStart > 0?'finishes'
+				:'finishedBy';
+		}
+		else if( endToStart == 0 )
+		{relation = 'meets';}
+		else if( startToEnd == 0 )
+		{relation = 'metBy';}
+		else if( startToStart < 0 )
+		{
+			relation = endToEnd < 0?'overlaps'
+				:'contains';
+		}
+		else
+		{
+			relation = endToEnd > 0?'overlappedBy'
+				:'during';
+		}
+		return( relation );
+	}
+	/**
+	 * @summary Compares two intervals by their starts and then by their ends, 
+	 *	each like `compare` does.
+	 * @description Intervals are like those of `relate`.  Like `compare`, it is 
+	 *	bound to this collator, so it can be passed to `Array.prototype.sort`.
+	 * @returns {number} -1, 0, or +1.
+	 * @param {Array|object|*} leftInterval 
+	 * @param {Array|object|*} rightInterval 
+	 * @throws {RangeError} When an end is not a valid date and its option is 'throw', or when a start compares after its end.
+	 */
+	get compareIntervals()
+	{
+		if( this.hidden.compareIntervals === undefined )
+		{
+			this.hidden.compareIntervals = ( leftInterval, rightInterval ) =>
+			{
+				const leftEnds = decorateInterval( leftInterval, this.hidden );
+				const rightEnds = decorateInterval( rightInterval, this.hidden );
+				return( compareDecorated( leftEnds[ 0 ], rightEnds[ 0 ], this.hidden )
+					|| compareDecorated( leftEnds[ 1 ], rightEnds[ 1 ], this.hidden ));
+			};
+		}
+		return( this.hidden.compareIntervals );
+	}
+	/**
+	 * @summary Groups items into buckets of dates that are equal according to 
+	 *	this collator, like the days of a calendar view.
+	 * @description Buckets are ordered like `compare` orders their dates and are 
+	 *	keyed by the `collationKey` of their dates.  Each bucket is labeled by its 
+	 *	first date's date parts, formatted with `Intl.DateTimeFormat` in this 
+	 *	collator's locale, calendar, and time zone.  Derived date parts, which 
+	 *	`Intl.DateTimeFormat` cannot format, are labeled like "Q1" ('quarter'), 
+	 *	"W01" ('isoWeek'), "2020" ('isoWeekYear'), "D060" ('dayOfYear'), "MW2" 
+	 *	('weekOfMonth'), and "FY2021" ('fiscalYear').
+	 * @example <caption>Group Dates by day.</caption>
+	 *	const dateCollatorDownToDay = new DateCollator( 'en-US', {dateSensitivity:['year', 'month', 'day']});
+	 *	Array.from( dateCollatorDownToDay.groupBy( events, ( event ) => event.start ).values()).map(( bucket ) => bucket.label );
+	 *	// returns ["March 23, 2020", "March 24, 2020", …]
+	 * @returns {Map<string,{label:string, items:Array}>} The buckets, by collation key.
+	 * @param {Iterable} iterable - The items to group.
+	 * @param {function} [keyFn] - Gets the date of an item; by default, each item is its own date.
+	 */
+	groupBy( iterable, keyFn )
+	{
+		const getDate = keyFn || (( item ) => item );
+		const buckets = new Map();
+		for( const eachItem of iterable )
+		{
+			const date = getDate( eachItem );
+			const collationKey = this.collationKey( date );
+			if( !buckets.has( collationKey ))
 			{
-				const leftString = String( leftDate );
-				const rightString = String( rightDate );
-				difference = leftString < rightString?-1
-					:leftString > rightString?+1
-					:0;
+				const keyedDate = this.hidden.key( date );
+				const value = this.hidden.options.coerce?coerceDate( keyedDate ):keyedDate;
+				buckets.set( collationKey, {label:getDateLabel( value, this.hidden ), items:[]});
 			}
-			// Clamp the (integer) result to [-1, +1].
-			return( Math.min( Math.max( -1, difference ), +1 ));
+			buckets.get( collationKey ).items.push( eachItem );
+		}
+		return( new Map( Array.from( buckets.entries())
+			.sort(( left, right ) => left[ 0 ] < right[ 0 ]?-1:left[ 0 ] > right[ 0 ]?+1:0 )
+		));
+	}
+	/**
+	 * @summary Finds the first entry of a sorted array that is equal to `date` 
+	 *	according to this collator, like `Array.prototype.indexOf`.
+	 * @returns {number} The index of the first equal entry, or -1 if there is none.
+	 * @param {Array} sorted - An array sorted by this collator's `compare`.
+	 * @param {*} date - The date (not an entry, so without applying the 'key' option) to search for.
+	 */
+	indexOf( sorted, date )
+	{
+		const decoratedDate = decorateDate( date, this.hidden );
+		const index = bisect( sorted, decoratedDate, this.hidden, false );
+		return( index < sorted.length && compareEntry( sorted[ index ], decoratedDate, this.hidden ) == 0?index:-1 );
+	}
+	/**
+	 * @summary Finds the last entry of a sorted array that is equal to `date` 
+	 *	according to this collator, like `Array.prototype.lastIndexOf`.
+	 * @returns {number} The index of the last equal entry, or -1 if there is none.
+	 * @param {Array} sorted - An array sorted by this collator's `compare`.
+	 * @param {*} date - The date (not an entry, so without applying the 'key' option) to search for.
+	 */
+	lastIndexOf( sorted, date )
+	{
+		const decoratedDate = decorateDate( date, this.hidden );
+		const index = bisect( sorted, decoratedDate, this.hidden, true ) - 1;
+		return( index >= 0 && compareEntry( sorted[ index ], decoratedDate, this.hidden ) == 0?index:-1 );
+	}
+	/**
+	 * @summary Finds where `date` would be inserted into a sorted array to keep 
+	 *	it sorted.
+	 * @description The index is after any entries equal to `date`, so that 
+	 *	inserting equal dates keeps them in insertion order.
+	 * @returns {number} The insertion index.
+	 * @param {Array} sorted - An array sorted by this collator's `compare`.
+	 * @param {*} date - The date (not an entry, so without applying the 'key' option) to insert.
+	 */
+	insertionIndex( sorted, date )
+	{return( bisect( sorted, decorateDate( date, this.hidden ), this.hidden, true ));}
+	/**
+	 * @summary Inserts an entry into a sorted array, keeping it sorted.
+	 * @description Unlike the dates searched for by the other sorted-array 
+	 *	methods, `entry` is an entry, so the 'key' option gets its date.
+	 * @returns {number} The index at which `entry` was inserted.
+	 * @param {Array} sorted - An array sorted by this collator's `compare`, which is modified.
+	 * @param {*} entry - The entry to insert.
+	 */
+	insertSorted( sorted, entry )
+	{
+		const index = this.insertionIndex( sorted, this.hidden.key( entry ));
+		sorted.splice( index, 0, entry );
+		return( index );
+	}
+	/**
+	 * @summary Returns the entries of a sorted array from one date to another.
+	 * @description Bounds are compared by this collator's 'dateSensitivity', so 
+	 *	with a day-level collator an inclusive range includes every entry on the 
+	 *	days of both bounds, and an exclusive range excludes them.
+	 * @example <caption>Get the entries from one day through another.</caption>
+	 *	const dateCollatorDownToDay = new DateCollator( null, {dateSensitivity:['year', 'month', 'day']});
+	 *	dateCollatorDownToDay.range( sortedDates, new Date( 2020, 2, 23, 12, 0 ), new Date( 2020, 2, 24, 12, 0 ));
+	 *	// returns every Date on March 23 and 24, 2020
+	 * @returns {Array} A new array of the entries in the range.
+	 * @param {Array} sorted - An array sorted by this collator's `compare`.
+	 * @param {*} [from] - The lower bound date (not an entry, so without applying the 'key' option), or `undefined` for none.
+	 * @param {*} [to] - The upper bound date (like `from`), or `undefined` for none.
+	 * @param {object} [options] - An object with the following properties:
+	 * @param {boolean} [options.inclusive=true] - Whether entries equal to a bound are included.
+	 */
+	range( sorted, from, to, options )
+	{
+		const inclusive = !options || options.inclusive === undefined || Boolean( options.inclusive );
+		const start = from === undefined?0
+			:bisect( sorted, decorateDate( from, this.hidden ), this.hidden, !inclusive );
+		const end = to === undefined?sorted.length
+			:bisect( sorted, decorateDate( to, this.hidden ), this.hidden, inclusive );
+		return( sorted.slice( start, Math.max( start, end )));
+	}
+	/**
+	 * @summary Lazily merges iterables sorted by `compare` (like log files read 
+	 *	line by line) into one in the same order.
+	 * @description Only the next item of each iterable is held at a time.  
+	 *	Items equal according to this collator come from the earlier iterable 
+	 *	first, and keep their order within each iterable.  When any of the 
+	 *	iterables is async, the result is an async iterable (to be iterated 
+	 *	with `for await`); otherwise, it is a sync one.  Stopping early (like 
+	 *	with `break`) closes the iterables' iterators.
+	 * @example <caption>Merge the sorted events of two sources.</caption>
+	 *	for await( const event of new DateCollator( null, {key:'time'}).merge( readEvents( 'a.log' ), readEvents( 'b.log' )))
+	 *	{console.log( event );}
+	 * @returns {Generator|AsyncIterator} The items of every iterable, in order.
+	 * @param {...(Iterable|AsyncIterable)} iterables - Iterables sorted by this collator's `compare`.
+	 * @throws {TypeError} When an argument is not an iterable or async iterable.
+	 * @throws {RangeError} When an item is not a valid date and its option is 'throw' (during iteration).
+	 */
+	merge( ...iterables )
+	{
+		iterables.forEach(( eachIterable, i, _everyIterable ) =>
+		{
+			if( !(isSyncIterable( eachIterable ) || isAsyncIterable( eachIterable )))
+			{throw( new TypeError( `DateCollator 'merge' argument at index ${i} must be an iterable or an async iterable.` ));}
+		});
+		const isAsync = iterables.some(( eachIterable, _i, _everyIterable ) => isAsyncIterable( eachIterable ));
+		return( isAsync?mergeAsyncIterables( iterables, this.hidden )
+			:mergeIterables( iterables, this.hidden ));
+	}
+	/**
+	 * @summary Lazily drops the items of an iterable sorted by `compare` that 
+	 *	are equal to the item kept before them, keeping the first of each run.
+	 * @description Items are equal according to this collator, so, e.g., with 
+	 *	a minute-level collator, only the first item of each minute is kept.  
+	 *	An async iterable results in an async iterable; otherwise, the result is 
+	 *	a sync one.
+	 * @example <caption>Keep one event per minute.</caption>
+	 *	const dateCollatorDownToMinute = new DateCollator( null, {dateSensitivity:['year', 'month', 'day', 'hour', 'minute'], key:'time'});
+	 *	for await( const event of dateCollatorDownToMinute.unique( readEvents( 'a.log' )))
+	 *	{console.log( event );}
+	 * @returns {Generator|AsyncIterator} The first item of each run of equal items.
+	 * @param {Iterable|AsyncIterable} iterable - An iterable sorted by this collator's `compare`.
+	 * @throws {TypeError} When `iterable` is not an iterable or async iterable.
+	 * @throws {RangeError} When an item is not a valid date and its option is 'throw' (during iteration).
+	 */
+	unique( iterable )
+	{
+		let uniqueItems;
+		if( isAsyncIterable( iterable ))
+		{uniqueItems = uniqueAsyncIterable( iterable, this.hidden );}
+		else if( isSyncIterable( iterable ))
+		{uniqueItems = uniqueIterable( iterable, this.hidden );}
+		else
+		{throw( new TypeError( `DateCollator 'unique' argument must be an iterable or an async iterable.` ));}
+		return( uniqueItems );
+	}
+	/**
+	 * @summary Returns the locale and options computed during construction.
+	 * @description The returned object is a frozen copy, so changing it does not 
+	 *	change this collator.  The `timeZone` property is only present when a 
+	 *	'timeZone' option was specified, and is then its canonical name; likewise 
+	 *	the `key` property.
+	 * @returns {object} An object with `locale`, `calendar`, `dateSensitivity`, 
+	 *	`dateUsage`, `dayPeriod`, `hourCycle`, `repeatedTime`, `coerce`, 
+	 *	`direction`, `firstDayOfWeek`, `fiscalYearStartMonth`, `invalid`, `nullish`, 
+	 *	`tolerance` (in milliseconds), and (optionally) `timeZone` and `key` 
+	 *	properties.
+	 */
+	resolvedOptions()
+	{
+		const resolvedOptions =
+		{
+			locale:this.hidden.locale,
+			calendar:this.hidden.calendar,
+			dateSensitivity:Object.freeze( this.hidden.options.dateSensitivity.slice()),
+			dateUsage:this.hidden.options.dateUsage,
+			dayPeriod:this.hidden.options.dayPeriod,
+			hourCycle:this.hidden.options.hourCycle,
+			repeatedTime:this.hidden.options.repeatedTime,
+			coerce:this.hidden.options.coerce,
+			direction:this.hidden.options.direction,
+			firstDayOfWeek:this.hidden.options.firstDayOfWeek,
+			fiscalYearStartMonth:this.hidden.options.fiscalYearStartMonth,
+			invalid:this.hidden.options.invalid,
+			nullish:this.hidden.options.nullish,
+			tolerance:this.hidden.tolerance,
 		};
-		// Cannot be used with functions like `Array.prototype.sort` without binding.
-		return( compareUnbound.bind( this ));
+		if( this.hidden.timeZone !== undefined )
+		{resolvedOptions.timeZone = this.hidden.timeZone;}
+		if( this.hidden.options.key !== undefined )
+		{
+			resolvedOptions.key = typeof( this.hidden.options.key ) === 'function'?this.hidden.options.key
+				:String( this.hidden.options.key );
+		}
+		return( Object.freeze( resolvedOptions ));
+	}
+	/**
+	 * @summary Serializes this collator's locale and options, like for saving 
+	 *	a user's sort choice in local storage or a URL.
+	 * @description The result is that of `resolvedOptions()`, so options 
+	 *	resolved from the locale or runtime (like 'firstDayOfWeek') are kept 
+	 *	as they were resolved.  `JSON.stringify` calls it, and 
+	 *	`DateCollator.fromJSON` restores an equivalent collator from it.
+	 * @returns {object} The resolved locale and options.
+	 * @throws {TypeError} When the 'key' option is a function, which cannot be serialized.
+	 */
+	toJSON()
+	{
+		if( typeof( this.hidden.options.key ) === 'function' )
+		{throw( new TypeError( `DateCollator options property 'key' must be a string to be serialized.` ));}
+		const serialized = Object.assign( {}, this.resolvedOptions());
+		serialized.dateSensitivity = serialized.dateSensitivity.slice();
+		return( serialized );
 	}
 }
 export {DateCollator};